@@ -14,11 +14,13 @@ class LessonAnalytics {
       ...config
     };
     
+    this.storage = this.config.storage || (window.LessonStorage ? LessonStorage.shared() : window.localStorage);
     this.lessonId = this.getLessonId();
     this.sessionId = this.generateSessionId();
     this.startTime = Date.now();
     this.isCompleted = false;
     this.questionTimestamps = {};
+    this.teardown = []; // removes listeners on destroy()
     
     this.init();
   }
@@ -155,16 +157,17 @@ class LessonAnalytics {
     });
   }
   
-  trackQuizComplete(score, totalQuestions, attempts = 1) {
+  trackQuizComplete(score, totalQuestions, attempts = 1, passingScore = 80, details = {}) {
     const timeToComplete = Date.now() - (this.quizStartTime || this.startTime);
     
     this.trackEvent('quiz_complete', {
       score_percentage: score,
       total_questions: totalQuestions,
-      correct_answers: Math.round((score / 100) * totalQuestions),
+      correct_answers: details.correct !== undefined ? details.correct : Math.round((score / 100) * totalQuestions),
       attempts: attempts,
       time_to_complete_ms: timeToComplete,
-      passed: score >= 80
+      passed: score >= passingScore,
+      completion: details.completion || null // 'first' or 'replay' for passes
     });
   }
   
@@ -209,8 +212,11 @@ class LessonAnalytics {
   }
   
   setupAutoTracking() {
+    // Quiz and completion events from LessonManager
+    this.setupLessonTracking();
+    
     // Track page abandonment
-    window.addEventListener('beforeunload', () => {
+    this.listen(window, 'beforeunload', () => {
       if (!this.isCompleted) {
         this.trackEvent('lesson_abandoned', {
           time_spent_ms: Date.now() - this.startTime
@@ -220,7 +226,7 @@ class LessonAnalytics {
     
     // Track visibility changes (tab switching)
     let lastVisibilityChange = Date.now();
-    document.addEventListener('visibilitychange', () => {
+    this.listen(document, 'visibilitychange', () => {
       const now = Date.now();
       const timeAway = now - lastVisibilityChange;
       
@@ -238,7 +244,7 @@ class LessonAnalytics {
     });
     
     // Track errors
-    window.addEventListener('error', (event) => {
+    this.listen(window, 'error', (event) => {
       this.trackEvent('javascript_error', {
         error_message: event.message,
         error_file: event.filename,
@@ -247,6 +253,38 @@ class LessonAnalytics {
     });
   }
   
+  setupLessonTracking() {
+    this.listen(window, 'quizStarted', () => this.trackQuizStart());
+    
+    this.listen(window, 'quizGraded', (event) => {
+      const detail = event.detail;
+      
+      (detail.results || []).forEach(result => {
+        this.trackQuizAnswer(result.questionIndex, result.answer, result.correct);
+      });
+      
+      this.trackQuizComplete(detail.score, detail.total, detail.attempt, detail.passingScore, {
+        correct: detail.correct,
+        completion: detail.completion
+      });
+    });
+    
+    this.listen(window, 'lessonCompleted', (event) => {
+      this.trackLessonComplete(event.detail.score);
+    });
+  }
+  
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.teardown.push(() => target.removeEventListener(type, handler));
+  }
+  
+  // Stop tracking this lesson (events already sent are kept)
+  destroy() {
+    this.teardown.forEach(undo => undo());
+    this.teardown = [];
+  }
+  
   getLessonId() {
     // Try to get from URL params
     const urlParams = new URLSearchParams(window.location.search);
@@ -278,9 +316,15 @@ class LessonAnalytics {
   }
   
   storeEventLocally(eventName, eventData) {
+    // Appending before an asynchronous backend has loaded would drop stored events
+    if (this.storage.isReady === false) {
+      this.storage.ready().then(() => this.storeEventLocally(eventName, eventData));
+      return;
+    }
+    
     try {
       const key = `analytics_${this.lessonId}`;
-      let events = JSON.parse(localStorage.getItem(key) || '[]');
+      let events = JSON.parse(this.storage.getItem(key) || '[]');
       
       events.push({
         event: eventName,
@@ -293,9 +337,9 @@ class LessonAnalytics {
         events = events.slice(-100);
       }
       
-      localStorage.setItem(key, JSON.stringify(events));
+      this.storage.setItem(key, JSON.stringify(events));
     } catch (error) {
-      // Silently fail if localStorage is not available
+      // Silently fail if storage is not available
       if (this.config.debug) {
         console.warn('[Analytics] Could not store event locally:', error);
       }
@@ -305,7 +349,7 @@ class LessonAnalytics {
   getStoredEvents() {
     try {
       const key = `analytics_${this.lessonId}`;
-      return JSON.parse(localStorage.getItem(key) || '[]');
+      return JSON.parse(this.storage.getItem(key) || '[]');
     } catch (error) {
       return [];
     }
@@ -314,7 +358,7 @@ class LessonAnalytics {
   clearStoredEvents() {
     try {
       const key = `analytics_${this.lessonId}`;
-      localStorage.removeItem(key);
+      this.storage.removeItem(key);
     } catch (error) {
       // Silently fail
     }
@@ -326,6 +370,7 @@ if (typeof window !== 'undefined') {
   // Wait for DOM to be ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
+      if (window.lessonAnalytics) return; // created by Lesson.mount
       window.lessonAnalytics = new LessonAnalytics({
         measurementId: 'G-XXXXXXXXXX', // TODO: Replace with your GA4 ID
         debug: window.location.hostname === 'localhost'
@@ -2,6 +2,9 @@
  * Bottom Bar Component for Thinkific Lessons
  * Provides reusable bottom completion requirements bar
  * Version 1.0
+ *
+ * Requires lesson-sanitizer.js, loaded first: option values are escaped
+ * with LessonSanitizer.
  */
 
 class BottomBar {
@@ -54,12 +57,14 @@ class BottomBar {
      * Generate requirements HTML
      */
     generateRequirements() {
+        const escape = LessonSanitizer.escape;
+        
         return this.options.requirements.map(req => `
-            <div class="requirement-item" data-requirement-id="${req.id}">
-                <div class="requirement-icon ${req.status}" id="${req.id}Icon">
-                    <div class="iconify" data-icon="${req.icon}" data-inline="false"></div>
+            <div class="requirement-item" data-requirement-id="${escape(req.id)}">
+                <div class="requirement-icon ${escape(req.status)}" id="${escape(req.id)}Icon">
+                    <div class="iconify" data-icon="${escape(req.icon)}" data-inline="false"></div>
                 </div>
-                <span class="requirement-label">${this.getRequirementLabel(req)}</span>
+                <span class="requirement-label">${escape(this.getRequirementLabel(req))}</span>
             </div>
         `).join('');
     }
@@ -70,14 +75,16 @@ class BottomBar {
     generateActions() {
         if (!this.options.actions) return '';
         
+        const escape = LessonSanitizer.escape;
+        
         return `
             <div class="bottom-bar-actions">
                 ${this.options.actions.map(action => `
-                    <button class="bottom-bar-action ${action.class || ''}" 
-                            onclick="${action.onclick || ''}"
+                    <button class="bottom-bar-action ${escape(action.class)}" 
+                            onclick="${escape(action.onclick)}"
                             ${action.disabled ? 'disabled' : ''}>
-                        ${action.icon ? `<div class="iconify" data-icon="${action.icon}" data-inline="false"></div>` : ''}
-                        <span>${action.label}</span>
+                        ${action.icon ? `<div class="iconify" data-icon="${escape(action.icon)}" data-inline="false"></div>` : ''}
+                        <span>${escape(action.label)}</span>
                     </button>
                 `).join('')}
             </div>
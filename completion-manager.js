@@ -2,6 +2,9 @@
  * Completion Manager for Thinkific Lessons
  * Handles completion messages and celebration animations
  * Version 1.0
+ *
+ * Celebration messages are plain text, escaped with LessonSanitizer -
+ * lesson-sanitizer.js is required and loads first.
  */
 
 class CompletionManager {
@@ -14,6 +17,12 @@ class CompletionManager {
             ...config
         };
         
+        this.lessonManager = null;
+        this.removeCelebrationHook = null;
+        this.hideTimer = null;
+        
+        this.handleLessonManagerReady = this.handleLessonManagerReady.bind(this);
+        
         this.init();
     }
     
@@ -69,9 +78,7 @@ class CompletionManager {
      */
     setupEventListeners() {
         // Listen for lesson manager events if available
-        window.addEventListener('lessonManagerReady', (e) => {
-            this.integrateWithLessonManager(e.detail.lessonManager);
-        });
+        window.addEventListener('lessonManagerReady', this.handleLessonManagerReady);
         
         // If lesson manager is already available
         if (window.lessonManager) {
@@ -79,17 +86,25 @@ class CompletionManager {
         }
     }
     
+    handleLessonManagerReady(e) {
+        this.integrateWithLessonManager(e.detail.lessonManager);
+    }
+    
     /**
      * Integrate with existing lesson manager
      */
     integrateWithLessonManager(lessonManager) {
-        // Override the showCelebration method if it exists
-        if (lessonManager.showCelebration && this.config.showCelebration) {
-            const originalShowCelebration = lessonManager.showCelebration.bind(lessonManager);
-            
-            lessonManager.showCelebration = (score = 100) => {
+        if (!lessonManager || lessonManager === this.lessonManager) return;
+        this.lessonManager = lessonManager;
+        
+        if (this.removeCelebrationHook) this.removeCelebrationHook();
+        this.removeCelebrationHook = null;
+        
+        // Provide the celebration through LessonManager's hook rather than replacing its method
+        if (this.config.showCelebration && lessonManager.addHook) {
+            this.removeCelebrationHook = lessonManager.addHook('celebrate', (score) => {
                 this.showCelebration(score);
-            };
+            });
         }
     }
     
@@ -108,7 +123,8 @@ class CompletionManager {
         overlay.classList.add('show');
         
         // Hide after 3 seconds
-        setTimeout(() => {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => {
             overlay.classList.remove('show');
         }, 3000);
         
@@ -128,12 +144,14 @@ class CompletionManager {
             Math.floor(Math.random() * this.config.celebrationMessages.length)
         ];
         
+        const escape = LessonSanitizer.escape;
+        
         overlay.innerHTML = `
             <div class="celebration-content">
-                <div class="celebration-icon">${randomMessage.icon}</div>
-                <div class="celebration-title">${randomMessage.title}</div>
-                <div class="celebration-message">${randomMessage.message}</div>
-                <div class="celebration-score">Score: ${score}%</div>
+                <div class="celebration-icon">${escape(randomMessage.icon)}</div>
+                <div class="celebration-title">${escape(randomMessage.title)}</div>
+                <div class="celebration-message">${escape(randomMessage.message)}</div>
+                <div class="celebration-score">Score: ${escape(score)}%</div>
             </div>
         `;
         
@@ -188,6 +206,23 @@ class CompletionManager {
             Math.floor(Math.random() * this.config.celebrationMessages.length)
         ];
     }
+    
+    /**
+     * Release the lesson manager and remove the celebration overlay
+     */
+    destroy() {
+        window.removeEventListener('lessonManagerReady', this.handleLessonManagerReady);
+        clearTimeout(this.hideTimer);
+        
+        if (this.removeCelebrationHook) this.removeCelebrationHook();
+        this.removeCelebrationHook = null;
+        this.lessonManager = null;
+        
+        const overlay = document.getElementById('celebrationOverlay');
+        if (overlay && overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,254 @@
+/**
+ * Static Lesson Export for Thinkific Lessons
+ * Renders lesson JSON and Markdown lessons to standalone HTML pages in Node
+ * Version 1.0
+ *
+ * Usage: node export-lessons.js <folder or file>... [--out dir] [--assets url] [--no-scripts] [--force]
+ *
+ * Each lesson is built by LessonBuilder against lesson-dom-shim.js, so the
+ * page carries the markup the browser would render and reads without
+ * JavaScript. Pages link lesson-styles.css and, unless --no-scripts, the
+ * lesson scripts with a Lesson.mount() call that makes the quiz work once
+ * JS runs. --assets is where the stylesheet and scripts are served from
+ * (default: this folder, relative to --out, which defaults to ./export).
+ *
+ * Lessons are .json files or .md Markdown lessons (see lesson-markdown.js;
+ * README.md files are skipped). Two lessons that would write the same page
+ * (a.json and a.md) are reported and only the first is exported.
+ * Lessons with validation errors are reported and skipped unless --force;
+ * quiz-only files (a JSON array) are not pages and are ignored.
+ *
+ * From Node: require('./export-lessons').renderLesson(content, options)
+ * returns { html, report }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createDocument, ShimNode } = require('./lesson-dom-shim');
+const { findLessonFiles } = require('./validate-lessons');
+
+// Scripts the exported page loads, in dependency order
+const PAGE_SCRIPTS = [
+    'lesson-storage.js',
+    'lesson-messenger.js',
+    'lesson-sanitizer.js',
+    'lesson-schema.js',
+    'lesson-requirements.js',
+    'theme-toggle.js',
+    'progress-bar.js',
+    'bottom-bar.js',
+    'pdf-viewer.js',
+    'lesson-markdown.js',
+    'lesson-builder.js',
+    'lesson-manager.js',
+    'lesson-ui.js',
+    'completion-manager.js',
+    'mobile-enhancements.js',
+    'lesson.js'
+];
+
+// Scripts needed to render on the server
+const RENDER_SCRIPTS = ['lesson-sanitizer.js', 'lesson-schema.js', 'pdf-viewer.js', 'lesson-markdown.js', 'lesson-builder.js'];
+
+function pageTemplate(assets) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title></title>
+    <link rel="stylesheet" href="${assets}/lesson-styles.css">
+</head>
+<body>
+    <div class="lesson-container">
+        <div class="lesson-header">
+            <h1 id="lessonTitle"></h1>
+        </div>
+        <div class="video-section" id="videoSection">
+            <video controls preload="metadata"><source id="videoSource" type="video/mp4"></video>
+        </div>
+        <div class="content-section" id="contentSection"></div>
+        <div class="quiz-container" id="quizContainer">
+            <div class="quiz-header">
+                <div class="quiz-title">Knowledge Check</div>
+                <button type="button" class="quiz-reset-button" id="quizResetBtn" onclick="lessonManager.resetQuiz()">Reset Quiz</button>
+            </div>
+            <div class="review-instructions" id="reviewInstructions"></div>
+            <noscript><p>Turn on JavaScript to take the quiz.</p></noscript>
+            <div id="quizQuestions"></div>
+            <button type="button" class="quiz-submit" onclick="lessonManager.checkAnswers()">Submit Answers</button>
+            <div class="quiz-feedback" id="quizFeedback"></div>
+        </div>
+        <div class="completion-section" id="completionSection">
+            <div class="completion-title" id="completionTitle"></div>
+            <div class="completion-message" id="completionMessage"></div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Render lesson content (an object, or a Markdown lesson string) to a
+ * full HTML page. Options: assets (URL prefix for the stylesheet and
+ * scripts), scripts (false for a static page) and trustCustomHTML, as
+ * for LessonBuilder
+ */
+function renderLesson(content, options = {}) {
+    const { assets = '.', scripts = true, trustCustomHTML = false } = options;
+    
+    const document = createDocument(pageTemplate(assets));
+    const timers = [];
+    const silent = () => {};
+    
+    // Validation results come back in the report, so the builder's logging is muted
+    const sandbox = {
+        document,
+        Node: ShimNode,
+        console: { log: silent, info: silent, warn: silent, error: silent },
+        setTimeout: callback => timers.push(callback),
+        clearTimeout: silent,
+        CustomEvent: class CustomEvent {
+            constructor(type, init = {}) {
+                this.type = type;
+                this.detail = init.detail;
+            }
+        }
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    
+    RENDER_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), sandbox, { filename: file });
+    });
+    
+    if (typeof content === 'string') {
+        content = sandbox.LessonMarkdown.parseLesson(content);
+    }
+    
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        throw new TypeError('Lesson content must be an object');
+    }
+    
+    const builder = new sandbox.LessonBuilder(content, {
+        quiz: Array.isArray(content.quiz) ? content.quiz : [], // no lessonQuiz global to fall back to
+        storage: {},
+        cache: false,
+        trustCustomHTML
+    });
+    builder.build();
+    
+    // PDF viewers are created on a timer in the browser
+    while (timers.length) timers.shift()();
+    
+    // The full-size overlay only opens with JavaScript, which mounts its own
+    document.querySelectorAll('.pdf-overlay').forEach(overlay => overlay.remove());
+    
+    if (scripts) {
+        const scriptElement = () => {
+            document.body.appendChild(document.createTextNode('\n    '));
+            return document.body.appendChild(document.createElement('script'));
+        };
+        
+        PAGE_SCRIPTS.forEach(file => {
+            scriptElement().src = `${assets}/${file}`;
+        });
+        
+        // Escaped so lesson text can't close the script element
+        const config = JSON.stringify({ content, builder: { trustCustomHTML } }).replace(/</g, '\\u003c');
+        scriptElement().textContent = `Lesson.mount(${config});`;
+        document.body.appendChild(document.createTextNode('\n'));
+    }
+    
+    return { html: document.serialize(), report: builder.report };
+}
+
+function option(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const outDir = path.resolve(option(args, '--out', 'export'));
+    const assets = option(args, '--assets', path.relative(outDir, __dirname).split(path.sep).join('/') || '.');
+    const scripts = !args.includes('--no-scripts');
+    const force = args.includes('--force');
+    const targets = args.filter((arg, index) => !arg.startsWith('--') && !['--out', '--assets'].includes(args[index - 1]));
+    
+    if (targets.length === 0) {
+        console.error('Usage: node export-lessons.js <folder or file>... [--out dir] [--assets url] [--no-scripts] [--force]');
+        return 2;
+    }
+    
+    const missing = targets.filter(target => !fs.existsSync(target));
+    if (missing.length) {
+        console.error(`Not found: ${missing.join(', ')}`);
+        return 2;
+    }
+    
+    let exported = 0;
+    let failed = 0;
+    const sources = {}; // output path -> lesson file written there
+    
+    targets.forEach(target => {
+        const base = fs.statSync(target).isDirectory() ? target : path.dirname(target);
+        
+        findLessonFiles(target).forEach(file => {
+            const markdown = file.endsWith('.md');
+            let content;
+            try {
+                const source = fs.readFileSync(file, 'utf8');
+                content = markdown ? source : JSON.parse(source);
+            } catch (error) {
+                console.error(`${file}: not valid JSON: ${error.message}`);
+                failed++;
+                return;
+            }
+            
+            if (Array.isArray(content)) return; // quiz file
+            
+            // a.json and a.md would both become a.html
+            const output = path.join(outDir, path.relative(base, file).replace(/\.(json|md)$/, '.html'));
+            if (sources[output]) {
+                console.error(`${file}: ${path.relative(process.cwd(), output)} is already exported from ${sources[output]}, not exported`);
+                failed++;
+                return;
+            }
+            
+            let html;
+            let report;
+            try {
+                ({ html, report } = renderLesson(content, { assets, scripts }));
+            } catch (error) {
+                console.error(`${file}: could not be rendered: ${error.message}`);
+                failed++;
+                return;
+            }
+            
+            if (!report.valid) {
+                console.error(`${file}: ${report.errors.length} error(s)${force ? '' : ', not exported'}`);
+                report.errors.forEach(issue => console.error(`  ${issue.path || '(file)'} ${issue.message}`));
+                failed++;
+                if (!force) return;
+            }
+            
+            sources[output] = file;
+            fs.mkdirSync(path.dirname(output), { recursive: true });
+            fs.writeFileSync(output, html);
+            console.log(`${file} -> ${path.relative(process.cwd(), output)}`);
+            exported++;
+        });
+    });
+    
+    console.log(`${exported} lesson(s) exported${failed ? `, ${failed} with problems` : ''}`);
+    
+    return failed > 0 ? 1 : 0;
+}
+
+module.exports = { renderLesson };
+
+if (require.main === module) {
+    process.exitCode = main();
+}
\ No newline at end of file
@@ -2,11 +2,56 @@
  * Lesson Builder for Thinkific Lessons
  * Renders lesson content from JSON configuration
  * Version 1.0
+ *
+ * The quiz can travel with the content as `quiz: [...]`; options.quiz
+ * overrides it and the lessonQuiz global is the last resort. Lessons can
+ * also be fetched from a URL:
+ *
+ *     const builder = new LessonBuilder(null);
+ *     builder.load('https://your-cdn/lessons/42.json')
+ *         .then(() => new LessonManager({ builder }));
+ *
+ * (or Lesson.mount({ contentUrl })).
+ *
+ * Author HTML in text fields goes through LessonSanitizer (load
+ * lesson-sanitizer.js first; without it text fields are shown as plain
+ * text and the video must be an http(s) URL). custom-html blocks are
+ * sanitized too unless the page opts in with `trustCustomHTML: true` -
+ * only do that for lessons whose JSON comes from people allowed to put
+ * scripts on the page.
+ *
+ * build() checks the lesson with LessonBuilder.validate() (load
+ * lesson-schema.js first; without it the check is skipped and
+ * builder.report stays null) and logs what it finds. Blocks that still fail
+ * to render are skipped; with `debug: true` a lesson with errors shows an
+ * author error panel instead of a half-rendered page.
+ *
+ * Content may also be a Markdown lesson (a string, or a contentUrl ending
+ * in .md), and JSON lessons can opt in to Markdown in prose fields with
+ * `"markdown": true` (or the markdown option) - see lesson-markdown.js,
+ * which loads before this file.
  */
 
 class LessonBuilder {
-    constructor(content) {
-        this.content = content;
+    constructor(content, options = {}) {
+        this.options = {
+            quiz: null,
+            cache: true, // keep fetched lessons in storage for offline reuse
+            storage: null,
+            trustCustomHTML: false, // render custom-html blocks unsanitized
+            debug: false, // show validation errors in the page
+            markdown: false, // Markdown in text, items and description fields, unless the lesson says otherwise
+            ...options
+        };
+        
+        this.storage = this.options.storage || (window.LessonStorage ? LessonStorage.shared() : window.localStorage);
+        this.setContent(content);
+        this.report = null;
+        this.url = null;
+        this.pendingLoad = null;
+        this.loadController = null;
+        this.pdfViewers = [];
+        this.pdfViewerTimers = [];
         this.contentRenderers = {
             'paragraph': this.renderParagraph,
             'header': this.renderHeader,
@@ -18,17 +63,399 @@ class LessonBuilder {
             'pdf-viewer': this.renderPDFViewer,
             'custom-html': this.renderCustomHTML
         };
+        this.questionRenderers = {
+            'single': this.renderChoiceQuestion,
+            'multi-select': this.renderChoiceQuestion,
+            'true-false': this.renderTrueFalseQuestion,
+            'short-answer': this.renderTextQuestion,
+            'numeric': this.renderTextQuestion,
+            'ordering': this.renderOrderingQuestion,
+            'matching': this.renderMatchingQuestion
+        };
     }
     
     /**
      * Build the complete lesson from content configuration
      */
     build() {
+        if (this.contentError) {
+            this.showLoadError(this.contentError);
+            return;
+        }
+        
+        // A missing validator shouldn't cost learners the lesson
+        this.report = window.LessonSchema ? this.validate() : null;
+        
+        if (this.report) {
+            this.logValidation(this.report);
+            
+            if (!this.report.valid && this.options.debug) {
+                this.showValidationErrors(this.report);
+                return;
+            }
+        } else if (this.options.debug) {
+            console.warn('lesson-schema.js not loaded - lesson content was not validated');
+        }
+        
         this.setPageTitle();
         this.setLessonTitle();
         this.setVideoSource();
         this.renderContent();
-        this.renderQuiz();
+        this.renderQuiz(this.quiz);
+    }
+    
+    /**
+     * Check lesson content against LessonSchema. Returns { valid, errors,
+     * warnings }, each a list of { path, message } such as
+     * { path: 'content[2].items', message: 'is required' }.
+     * options.quiz checks a quiz kept outside the content; contentTypes and
+     * questionTypes name types handled by custom renderers
+     */
+    static validate(content, options = {}) {
+        const report = LessonSchema.validate(content, LessonSchema.lesson);
+        
+        if (options.quiz) {
+            const quizReport = LessonSchema.validate(options.quiz, LessonSchema.quiz, 'quiz');
+            report.errors.push(...quizReport.errors);
+            report.warnings.push(...quizReport.warnings);
+        }
+        
+        const blocks = content && Array.isArray(content.content) ? content.content : [];
+        const questions = Array.isArray(options.quiz) ? options.quiz : (content && Array.isArray(content.quiz) ? content.quiz : []);
+        const contentTypes = [...LessonBuilder.schemaTypes(LessonSchema.lesson.properties.content), ...(options.contentTypes || [])];
+        const questionTypes = [...LessonBuilder.schemaTypes(LessonSchema.quiz), ...(options.questionTypes || [])];
+        
+        blocks.forEach((item, index) => {
+            if (item && typeof item === 'object' && !contentTypes.includes(item.type)) {
+                report.warnings.push({ path: `content[${index}].type`, message: `"${item.type}" is not a known content type; the block will be skipped` });
+            }
+        });
+        
+        questions.forEach((question, index) => {
+            if (!question || typeof question !== 'object') return;
+            
+            const type = question.type || 'single';
+            if (!questionTypes.includes(type)) {
+                report.warnings.push({ path: `quiz[${index}].type`, message: `"${type}" is not a known question type; the question will be skipped` });
+            }
+            if (type === 'short-answer' && question.correct === undefined && !question.accepted) {
+                report.errors.push({ path: `quiz[${index}]`, message: 'needs correct or accepted answers' });
+            }
+            
+            LessonBuilder.checkAnswerLetters(question, type, `quiz[${index}]`, report);
+        });
+        
+        LessonBuilder.findDuplicateIds(blocks, 'content', report);
+        LessonBuilder.findDuplicateIds(questions, 'quiz', report);
+        
+        return { valid: report.errors.length === 0, ...report };
+    }
+    
+    /**
+     * Answer letters must name one of the question's options
+     */
+    static checkAnswerLetters(question, type, path, report) {
+        if (!['single', 'multi-select', 'ordering', 'matching'].includes(type)) return;
+        if (!Array.isArray(question.options) || question.correct === undefined) return;
+        
+        const count = question.options.length;
+        const last = String.fromCharCode(96 + count);
+        const letters = [].concat(question.correct);
+        
+        letters.forEach((letter, letterIndex) => {
+            const optionIndex = typeof letter === 'string' && letter.length === 1 ? letter.charCodeAt(0) - 97 : -1;
+            if (optionIndex >= count) {
+                const at = Array.isArray(question.correct) ? `${path}.correct[${letterIndex}]` : `${path}.correct`;
+                report.errors.push({ path: at, message: `"${letter}" is beyond the ${count} options (a-${last})` });
+            }
+        });
+        
+        if (type === 'matching' && Array.isArray(question.prompts) && letters.length !== question.prompts.length) {
+            report.errors.push({ path: `${path}.correct`, message: `has ${letters.length} answers for ${question.prompts.length} prompts` });
+        }
+    }
+    
+    static schemaTypes(listSchema) {
+        return listSchema.items.oneOf.map(option => option.properties.type.const);
+    }
+    
+    static findDuplicateIds(items, path, report) {
+        const seen = {};
+        
+        items.forEach((item, index) => {
+            if (!item || item.id === undefined) return;
+            
+            if (seen[item.id] !== undefined) {
+                report.warnings.push({ path: `${path}[${index}].id`, message: `"${item.id}" is also used by ${path}[${seen[item.id]}]` });
+            } else {
+                seen[item.id] = index;
+            }
+        });
+    }
+    
+    /**
+     * Validate this builder's content and quiz, including custom renderer types
+     */
+    validate() {
+        const quiz = this.quiz || (typeof lessonQuiz !== 'undefined' ? lessonQuiz : null);
+        
+        return LessonBuilder.validate(this.content, {
+            quiz: this.content && quiz === this.content.quiz ? null : quiz, // content.quiz is checked with the content
+            contentTypes: Object.keys(this.contentRenderers),
+            questionTypes: Object.keys(this.questionRenderers)
+        });
+    }
+    
+    logValidation(report) {
+        const format = issue => `  ${issue.path || 'lesson'} ${issue.message}`;
+        
+        if (report.errors.length) {
+            console.error(`Lesson content has ${report.errors.length} error(s):\n${report.errors.map(format).join('\n')}`);
+        }
+        if (report.warnings.length) {
+            console.warn(`Lesson content has ${report.warnings.length} warning(s):\n${report.warnings.map(format).join('\n')}`);
+        }
+    }
+    
+    /**
+     * Author error panel shown in place of the lesson in debug mode
+     */
+    showValidationErrors(report) {
+        const container = document.getElementById('contentSection');
+        const quizContainer = document.getElementById('quizContainer');
+        
+        if (quizContainer) {
+            quizContainer.style.display = 'none';
+        }
+        if (!container) return;
+        
+        this.destroyComponents();
+        container.innerHTML = `
+            <div class="lesson-author-errors" role="alert">
+                <h3></h3>
+                <p>Fix these in the lesson JSON and reload. Learners never see this panel; it is shown because debug mode is on.</p>
+                <ul class="lesson-author-error-list"></ul>
+            </div>
+        `;
+        
+        const count = report.errors.length;
+        container.querySelector('h3').textContent = `This lesson has ${count} error${count === 1 ? '' : 's'}`;
+        
+        const list = container.querySelector('.lesson-author-error-list');
+        [
+            ...report.errors.map(issue => ({ ...issue, level: 'error' })),
+            ...report.warnings.map(issue => ({ ...issue, level: 'warning' }))
+        ].forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `lesson-author-${issue.level}`;
+            
+            const path = document.createElement('code');
+            path.textContent = issue.path || 'lesson';
+            item.appendChild(path);
+            item.appendChild(document.createTextNode(` ${issue.message}`));
+            
+            list.appendChild(item);
+        });
+    }
+    
+    setContent(content) {
+        this.contentError = null;
+        
+        if (typeof content === 'string') {
+            try {
+                content = LessonBuilder.parseMarkdown(content);
+            } catch (error) {
+                console.error('Could not read the Markdown lesson:', error);
+                this.contentError = error; // shown by build()
+                content = null;
+            }
+        }
+        
+        this.content = content;
+        this.quiz = this.options.quiz || (content && Array.isArray(content.quiz) ? content.quiz : null);
+    }
+    
+    /**
+     * Fetch the lesson (content and quiz) from a JSON URL and build it.
+     * A loading skeleton is shown meanwhile; if the request fails and no
+     * cached copy exists, an error state with a retry button replaces it.
+     * Resolves with the content once built (after retries, if needed);
+     * rejects, with an AbortError, only if the builder is destroyed or
+     * another load starts first.
+     */
+    load(url) {
+        if (this.pendingLoad) {
+            this.pendingLoad.reject(LessonBuilder.abortError('Superseded by another load'));
+        }
+        
+        this.url = url;
+        
+        return new Promise((resolve, reject) => {
+            this.pendingLoad = { resolve, reject };
+            this.attemptLoad();
+        });
+    }
+    
+    /**
+     * Try the current URL again (the error state's retry button)
+     */
+    retry() {
+        if (this.pendingLoad) {
+            this.attemptLoad();
+        }
+    }
+    
+    attemptLoad() {
+        const url = this.url;
+        this.showLoadingState();
+        
+        this.fetchContent(url)
+            .then(({ content, fromCache }) => {
+                if (!this.pendingLoad || url !== this.url) return;
+                
+                this.setContent(content);
+                this.build();
+                
+                window.dispatchEvent(new CustomEvent('lessonContentLoaded', {
+                    detail: { url, fromCache, content }
+                }));
+                
+                this.pendingLoad.resolve(content);
+                this.pendingLoad = null;
+            })
+            .catch(error => {
+                if (!this.pendingLoad || url !== this.url || error.name === 'AbortError') return;
+                
+                console.error(`Could not load lesson from ${url}:`, error);
+                this.showLoadError(error);
+                
+                window.dispatchEvent(new CustomEvent('lessonContentError', {
+                    detail: { url, error: error.message }
+                }));
+            });
+    }
+    
+    /**
+     * Network first; the cached copy is used when the request fails
+     */
+    fetchContent(url) {
+        if (this.loadController) this.loadController.abort();
+        this.loadController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        
+        return fetch(url, { signal: this.loadController ? this.loadController.signal : undefined })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Request failed with status ${response.status}`);
+                }
+                return this.isMarkdown(url, response)
+                    ? response.text().then(text => LessonBuilder.parseMarkdown(text))
+                    : response.json();
+            })
+            .then(content => {
+                if (!content || !Array.isArray(content.content)) {
+                    throw new Error('Lesson JSON has no content array');
+                }
+                this.cacheContent(url, content);
+                return { content, fromCache: false };
+            })
+            .catch(error => {
+                if (error.name === 'AbortError') throw error;
+                
+                return this.readCachedContent(url).then(cached => {
+                    if (!cached) throw error;
+                    
+                    console.warn(`Using cached lesson from ${cached.cachedAt}:`, error.message);
+                    return { content: cached.content, fromCache: true };
+                });
+            });
+    }
+    
+    /**
+     * Convert a Markdown lesson, with a clear error when lesson-markdown.js
+     * is missing from the page
+     */
+    static parseMarkdown(source) {
+        if (!window.LessonMarkdown) {
+            throw new Error('This lesson is written in Markdown - load lesson-markdown.js before lesson-builder.js');
+        }
+        return LessonMarkdown.parseLesson(source);
+    }
+    
+    isMarkdown(url, response) {
+        const type = response.headers && response.headers.get ? response.headers.get('Content-Type') || '' : '';
+        return /markdown/i.test(type) || /\.(md|markdown)$/i.test(url.split(/[?#]/)[0]);
+    }
+    
+    getCacheKey(url) {
+        return `lesson_content_${url}`;
+    }
+    
+    cacheContent(url, content) {
+        if (!this.options.cache) return;
+        
+        try {
+            this.storage.setItem(this.getCacheKey(url), JSON.stringify({
+                content,
+                cachedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.warn('Could not cache lesson content:', error);
+        }
+    }
+    
+    readCachedContent(url) {
+        if (!this.options.cache) return Promise.resolve(null);
+        
+        const ready = this.storage.isReady === false ? this.storage.ready() : Promise.resolve();
+        
+        return ready.then(() => {
+            try {
+                const cached = JSON.parse(this.storage.getItem(this.getCacheKey(url)));
+                return cached && cached.content ? cached : null;
+            } catch (error) {
+                return null;
+            }
+        });
+    }
+    
+    /**
+     * Placeholder blocks shown while the lesson is fetched
+     */
+    showLoadingState() {
+        const container = document.getElementById('contentSection');
+        const quizContainer = document.getElementById('quizContainer');
+        
+        if (quizContainer) {
+            quizContainer.style.display = 'none';
+        }
+        
+        if (container) {
+            container.innerHTML = `
+                <div class="lesson-skeleton" aria-busy="true" aria-label="Loading lesson">
+                    <div class="lesson-skeleton-line lesson-skeleton-heading loading"></div>
+                    <div class="lesson-skeleton-line loading"></div>
+                    <div class="lesson-skeleton-line loading"></div>
+                    <div class="lesson-skeleton-line lesson-skeleton-short loading"></div>
+                    <div class="lesson-skeleton-block loading"></div>
+                </div>
+            `;
+        }
+    }
+    
+    showLoadError(error) {
+        const container = document.getElementById('contentSection');
+        if (!container) return;
+        
+        container.innerHTML = `
+            <div class="lesson-load-error" role="alert">
+                <div class="iconify" data-icon="feather-wifi-off" data-inline="false"></div>
+                <h3>This lesson couldn't be loaded</h3>
+                <p>Check your connection and try again.</p>
+                <button type="button" class="lesson-retry-button">Try again</button>
+            </div>
+        `;
+        container.querySelector('.lesson-load-error').title = error.message;
+        container.querySelector('.lesson-retry-button').addEventListener('click', () => this.retry());
     }
     
     /**
@@ -62,7 +489,9 @@ class LessonBuilder {
         const videoSection = document.getElementById('videoSection');
         
         if (this.content.videoSrc && videoSource) {
-            videoSource.src = this.content.videoSrc;
+            videoSource.src = window.LessonSanitizer
+                ? LessonSanitizer.safeUrl(this.content.videoSrc)
+                : (/^https?:\/\//i.test(this.content.videoSrc) ? this.content.videoSrc : '');
         } else if (videoSection) {
             videoSection.style.display = 'none';
         }
@@ -75,17 +504,27 @@ class LessonBuilder {
         const container = document.getElementById('contentSection');
         if (!container) return;
         
+        this.destroyComponents();
         container.innerHTML = '';
         
-        this.content.content.forEach(item => {
-            const renderer = this.contentRenderers[item.type];
-            if (renderer) {
+        const blocks = Array.isArray(this.content.content) ? this.content.content : [];
+        
+        blocks.forEach((item, index) => {
+            const renderer = item && this.contentRenderers[item.type];
+            if (!renderer) {
+                console.warn(`Unknown content type: ${item && item.type}`);
+                return;
+            }
+            
+            try {
                 const element = renderer.call(this, item);
                 if (element) {
+                    // Sections are tracked for reading progress by LessonManager
+                    element.setAttribute('data-lesson-section', item.id || index);
                     container.appendChild(element);
                 }
-            } else {
-                console.warn(`Unknown content type: ${item.type}`);
+            } catch (error) {
+                console.error(`Skipped content[${index}] (${item.type}), it could not be rendered:`, error);
             }
         });
     }
@@ -94,18 +533,16 @@ class LessonBuilder {
      * Render a paragraph element
      */
     renderParagraph(item) {
-        const p = document.createElement('p');
-        p.innerHTML = item.text;
-        return p;
+        return this.createRichText(item.text);
     }
     
     /**
      * Render a header element (h2, h3, etc.)
      */
     renderHeader(item) {
-        const level = item.level || 2;
+        const level = Math.min(Math.max(parseInt(item.level, 10) || 2, 1), 6);
         const h = document.createElement(`h${level}`);
-        h.innerHTML = item.text;
+        this.setHTML(h, item.text);
         return h;
     }
     
@@ -118,30 +555,28 @@ class LessonBuilder {
         
         if (item.title) {
             const title = document.createElement('p');
-            title.innerHTML = `<strong>${item.title}</strong>`;
+            const strong = document.createElement('strong');
+            this.setHTML(strong, item.title);
+            title.appendChild(strong);
             card.appendChild(title);
         }
         
         if (item.text && item.text.trim()) {
-            const text = document.createElement('p');
-            text.innerHTML = item.text;
-            card.appendChild(text);
+            card.appendChild(this.createRichText(item.text));
         }
         
         if (item.items) {
             const ul = document.createElement('ul');
             item.items.forEach(itemText => {
                 const li = document.createElement('li');
-                li.innerHTML = itemText;
+                this.setRichText(li, itemText, true);
                 ul.appendChild(li);
             });
             card.appendChild(ul);
         }
         
         if (item.additional_text) {
-            const additionalText = document.createElement('p');
-            additionalText.innerHTML = item.additional_text;
-            card.appendChild(additionalText);
+            card.appendChild(this.createRichText(item.additional_text));
         }
         
         return card;
@@ -156,7 +591,7 @@ class LessonBuilder {
         
         const content = document.createElement('div');
         content.className = 'example-text';
-        content.innerHTML = item.text;
+        this.setHTML(content, item.text);
         box.appendChild(content);
         
         return box;
@@ -171,7 +606,7 @@ class LessonBuilder {
         
         item.items.forEach(itemText => {
             const li = document.createElement('li');
-            li.innerHTML = itemText;
+            this.setHTML(li, itemText);
             ol.appendChild(li);
         });
         
@@ -204,9 +639,7 @@ class LessonBuilder {
             header.appendChild(title);
             stepDiv.appendChild(header);
             
-            const description = document.createElement('p');
-            description.innerHTML = step.description;
-            stepDiv.appendChild(description);
+            stepDiv.appendChild(this.createRichText(step.description));
             
             container.appendChild(stepDiv);
         });
@@ -237,7 +670,7 @@ class LessonBuilder {
                 
                 const text = document.createElement('div');
                 text.className = 'speaker-text';
-                text.innerHTML = line.text;
+                this.setRichText(text, line.text);
                 
                 exchangeDiv.appendChild(speaker);
                 exchangeDiv.appendChild(text);
@@ -257,7 +690,7 @@ class LessonBuilder {
         container.id = item.containerId || 'pdfContainer';
         
         // PDF viewer will be initialized later if PDFViewer class is available
-        setTimeout(() => {
+        this.pdfViewerTimers.push(setTimeout(() => {
             if (window.PDFViewer) {
                 const pdfViewer = new PDFViewer({
                     title: item.title,
@@ -267,25 +700,82 @@ class LessonBuilder {
                     containerId: container.id
                 });
                 pdfViewer.init();
+                this.pdfViewers.push(pdfViewer);
             }
-        }, 100);
+        }, 100));
         
         return container;
     }
     
     /**
-     * Render custom HTML content
+     * Render custom HTML content; raw only when the page set trustCustomHTML
      */
     renderCustomHTML(item) {
         const div = document.createElement('div');
-        div.innerHTML = item.html;
+        if (this.options.trustCustomHTML) {
+            div.innerHTML = item.html;
+        } else {
+            this.setHTML(div, item.html);
+        }
+        return div;
+    }
+    
+    /**
+     * Fill an element with sanitized author HTML
+     */
+    setHTML(element, html) {
+        if (window.LessonSanitizer) {
+            element.innerHTML = LessonSanitizer.sanitize(html);
+        } else {
+            element.textContent = html || '';
+        }
+    }
+    
+    /**
+     * Whether prose fields are Markdown: the lesson's own `markdown` flag,
+     * else the builder option
+     */
+    usesMarkdown() {
+        const markdown = typeof this.content.markdown === 'boolean' ? this.content.markdown : this.options.markdown;
+        return markdown && !!window.LessonMarkdown;
+    }
+    
+    /**
+     * Fill an element from a prose field; `inline` skips list handling
+     */
+    setRichText(element, text, inline = false) {
+        if (!this.usesMarkdown()) {
+            this.setHTML(element, text);
+        } else {
+            this.setHTML(element, inline ? LessonMarkdown.inline(text) : LessonMarkdown.block(text));
+        }
+    }
+    
+    /**
+     * Element for a paragraph-like field: a <p>, or with Markdown a <div>
+     * of paragraphs and lists, since a <p> can't hold a list
+     */
+    createRichText(text) {
+        if (!this.usesMarkdown()) {
+            const p = document.createElement('p');
+            this.setHTML(p, text);
+            return p;
+        }
+        
+        const div = document.createElement('div');
+        div.className = 'lesson-rich-text';
+        this.setHTML(div, LessonMarkdown.block(text, { paragraphs: true }));
         return div;
     }
     
     /**
-     * Render quiz questions from lessonQuiz global variable
+     * Render quiz questions from lessonQuiz global variable, or from a
+     * drawn subset when `questions` is given (see drawQuestions)
+     * Question `type` may be single (default), multi-select, true-false,
+     * short-answer, numeric, ordering or matching. Optional `explanation`
+     * and per-option `feedback` are revealed once the quiz is graded
      */
-    renderQuiz() {
+    renderQuiz(questions = null) {
         const container = document.getElementById('quizQuestions');
         const quizContainer = document.getElementById('quizContainer');
         
@@ -295,14 +785,16 @@ class LessonBuilder {
         }
         
         // Check if lessonQuiz is defined and is an array
-        if (typeof lessonQuiz === 'undefined' || !Array.isArray(lessonQuiz)) {
+        if (!questions && (typeof lessonQuiz === 'undefined' || !Array.isArray(lessonQuiz))) {
             console.warn('lessonQuiz not defined or not an array');
             container.innerHTML = '<p>Quiz questions are loading...</p>';
             return;
         }
         
+        const quiz = questions || lessonQuiz;
+        
         // If quiz is empty, hide the entire quiz section
-        if (lessonQuiz.length === 0) {
+        if (quiz.length === 0) {
             console.log('No quiz questions - hiding quiz section');
             if (quizContainer) {
                 quizContainer.style.display = 'none';
@@ -317,29 +809,283 @@ class LessonBuilder {
         
         container.innerHTML = '';
         
-        lessonQuiz.forEach((question, index) => {
-            const questionBlock = document.createElement('div');
-            questionBlock.className = 'question-block';
+        quiz.forEach((question, index) => {
+            try {
+                const questionBlock = this.renderQuestion(question, index);
+                if (questionBlock) {
+                    const fallbackId = question.poolIndex !== undefined ? question.poolIndex : index;
+                    questionBlock.setAttribute('data-question-id', question.id !== undefined ? question.id : fallbackId);
+                    container.appendChild(questionBlock);
+                }
+            } catch (error) {
+                console.error(`Skipped quiz question ${index + 1}, it could not be rendered:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Pick `count` question ids from a pool of `poolSize` using a seed,
+     * so the same seed always yields the same draw
+     */
+    drawQuestionIds(poolSize, count, seed) {
+        const ids = Array.from({ length: poolSize }, (_, index) => index);
+        return this.shuffleWithSeed(ids, seed).slice(0, Math.min(count || poolSize, poolSize));
+    }
+    
+    /**
+     * Build the question list for a draw, optionally shuffling the options
+     * of each question and remapping its answer letters to match. Each
+     * question records its place in the pool as `poolIndex`
+     */
+    drawQuestions(pool, draw, shuffleOptions = false) {
+        return draw.questionIds.map(id => {
+            const question = { ...pool[id], poolIndex: id }; // the author's id, if any, is kept
+            const shufflable = ['single', 'multi-select', 'ordering', 'matching'].includes(question.type || 'single');
+            
+            if (!shuffleOptions || !shufflable || !Array.isArray(question.options)) {
+                return question;
+            }
+            
+            const order = this.shuffleWithSeed(question.options.map((_, index) => index), draw.seed + id);
+            const remap = letter => this.getOptionLetter(order.indexOf(letter.charCodeAt(0) - 97));
+            
+            question.options = order.map(index => pool[id].options[index]);
+            question.correct = Array.isArray(question.correct) ? question.correct.map(remap) : remap(question.correct);
+            
+            if (question.feedback) {
+                question.feedback = Object.fromEntries(
+                    Object.entries(question.feedback).map(([letter, text]) => [remap(letter), text])
+                );
+            }
+            
+            return question;
+        });
+    }
+    
+    /**
+     * Deterministic Fisher-Yates shuffle (mulberry32 generator)
+     */
+    shuffleWithSeed(items, seed) {
+        let state = seed >>> 0;
+        const random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+    
+    /**
+     * Render a single quiz question using the renderer for its type
+     */
+    renderQuestion(question, index) {
+        const type = question.type || 'single';
+        const renderer = this.questionRenderers[type];
+        
+        if (!renderer) {
+            console.warn(`Unknown question type: ${type}`);
+            return null;
+        }
+        
+        const questionBlock = document.createElement('div');
+        questionBlock.className = `question-block question-${type}`;
+        questionBlock.setAttribute('data-type', type);
+        
+        const questionText = document.createElement('div');
+        questionText.className = 'question-text';
+        questionText.textContent = `${index + 1}. ${question.question}`;
+        questionBlock.appendChild(questionText);
+        
+        renderer.call(this, question, questionBlock);
+        
+        if (question.feedback) {
+            this.renderOptionFeedback(question.feedback, questionBlock);
+        }
+        
+        if (question.explanation) {
+            const explanation = document.createElement('div');
+            explanation.className = 'question-explanation';
+            explanation.textContent = question.explanation;
+            questionBlock.appendChild(explanation);
+        }
+        
+        return questionBlock;
+    }
+    
+    /**
+     * Attach hidden per-option feedback, keyed by answer value ('a', 'true', ...)
+     */
+    renderOptionFeedback(feedback, questionBlock) {
+        Object.entries(feedback).forEach(([value, text]) => {
+            const option = questionBlock.querySelector(`.answer-option[data-answer="${value}"]`);
+            if (!option) return;
+            
+            const optionFeedback = document.createElement('div');
+            optionFeedback.className = 'option-feedback';
+            optionFeedback.textContent = text;
+            option.appendChild(optionFeedback);
+        });
+    }
+    
+    /**
+     * Render single choice and "choose all that apply" options
+     */
+    renderChoiceQuestion(question, questionBlock) {
+        if (question.type === 'multi-select') {
+            const correct = Array.isArray(question.correct) ? question.correct : [question.correct];
+            questionBlock.setAttribute('data-correct', JSON.stringify(correct));
+            
+            const hint = document.createElement('div');
+            hint.className = 'question-hint';
+            hint.textContent = 'Select all that apply.';
+            questionBlock.appendChild(hint);
+        } else {
+            questionBlock.setAttribute('data-correct', question.correct);
+        }
+        
+        question.options.forEach((option, optionIndex) => {
+            questionBlock.appendChild(this.createAnswerOption(this.getOptionLetter(optionIndex), option));
+        });
+    }
+    
+    /**
+     * Render true/false options
+     */
+    renderTrueFalseQuestion(question, questionBlock) {
+        questionBlock.setAttribute('data-correct', String(question.correct));
+        questionBlock.appendChild(this.createAnswerOption('true', 'True'));
+        questionBlock.appendChild(this.createAnswerOption('false', 'False'));
+    }
+    
+    /**
+     * Render a free text input for short-answer and numeric questions
+     */
+    renderTextQuestion(question, questionBlock) {
+        const input = document.createElement('input');
+        input.className = 'answer-input';
+        input.setAttribute('aria-label', 'Your answer');
+        
+        if (question.type === 'numeric') {
+            input.type = 'number';
+            input.step = 'any';
             questionBlock.setAttribute('data-correct', question.correct);
+            questionBlock.setAttribute('data-tolerance', question.tolerance || 0);
+        } else {
+            input.type = 'text';
+            const accepted = question.accepted || [question.correct];
+            questionBlock.setAttribute('data-correct', JSON.stringify(accepted));
+            if (question.caseSensitive) {
+                questionBlock.setAttribute('data-case-sensitive', 'true');
+            }
+        }
+        
+        if (question.placeholder) {
+            input.placeholder = question.placeholder;
+        }
+        
+        questionBlock.appendChild(input);
+    }
+    
+    /**
+     * Render an ordering question; options are shown as listed and
+     * `correct` holds the option letters in the right sequence
+     */
+    renderOrderingQuestion(question, questionBlock) {
+        questionBlock.setAttribute('data-correct', JSON.stringify(question.correct));
+        
+        const list = document.createElement('ol');
+        list.className = 'ordering-list';
+        
+        question.options.forEach((option, optionIndex) => {
+            const item = document.createElement('li');
+            item.className = 'ordering-item';
+            item.setAttribute('data-answer', this.getOptionLetter(optionIndex));
+            
+            const text = document.createElement('span');
+            text.className = 'ordering-text';
+            text.textContent = option;
+            item.appendChild(text);
+            
+            [['up', '▲', 'Move up'], ['down', '▼', 'Move down']].forEach(([direction, symbol, label]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'order-move';
+                button.setAttribute('data-direction', direction);
+                button.setAttribute('aria-label', label);
+                button.textContent = symbol;
+                item.appendChild(button);
+            });
+            
+            list.appendChild(item);
+        });
+        
+        questionBlock.appendChild(list);
+    }
+    
+    /**
+     * Render a matching question; each prompt gets a dropdown of options
+     * and `correct` holds the matching option letter for each prompt
+     */
+    renderMatchingQuestion(question, questionBlock) {
+        questionBlock.setAttribute('data-correct', JSON.stringify(question.correct));
+        
+        question.prompts.forEach((prompt, promptIndex) => {
+            const row = document.createElement('div');
+            row.className = 'matching-row';
+            
+            const label = document.createElement('span');
+            label.className = 'matching-prompt';
+            label.textContent = prompt;
+            row.appendChild(label);
+            
+            const select = document.createElement('select');
+            select.className = 'answer-select';
+            select.setAttribute('data-prompt-index', promptIndex);
+            select.setAttribute('aria-label', prompt);
             
-            const questionText = document.createElement('div');
-            questionText.className = 'question-text';
-            questionText.textContent = `${index + 1}. ${question.question}`;
-            questionBlock.appendChild(questionText);
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = 'Choose...';
+            select.appendChild(placeholder);
             
-            const letters = ['a', 'b', 'c', 'd'];
             question.options.forEach((option, optionIndex) => {
-                const answerOption = document.createElement('div');
-                answerOption.className = 'answer-option';
-                answerOption.setAttribute('data-answer', letters[optionIndex]);
-                answerOption.textContent = option;
-                questionBlock.appendChild(answerOption);
+                const choice = document.createElement('option');
+                choice.value = this.getOptionLetter(optionIndex);
+                choice.textContent = option;
+                select.appendChild(choice);
             });
             
-            container.appendChild(questionBlock);
+            row.appendChild(select);
+            questionBlock.appendChild(row);
         });
     }
     
+    /**
+     * Create a clickable answer option
+     */
+    createAnswerOption(value, text) {
+        const answerOption = document.createElement('div');
+        answerOption.className = 'answer-option';
+        answerOption.setAttribute('data-answer', value);
+        answerOption.textContent = text;
+        return answerOption;
+    }
+    
+    /**
+     * Get the answer letter for an option index (0 => 'a')
+     */
+    getOptionLetter(index) {
+        return String.fromCharCode(97 + index);
+    }
+    
     /**
      * Add a new content renderer
      */
@@ -347,6 +1093,13 @@ class LessonBuilder {
         this.contentRenderers[type] = rendererFunction;
     }
     
+    /**
+     * Add a new question renderer
+     */
+    addQuestionRenderer(type, rendererFunction) {
+        this.questionRenderers[type] = rendererFunction;
+    }
+    
     /**
      * Get the current content configuration
      */
@@ -361,6 +1114,32 @@ class LessonBuilder {
         this.content = { ...this.content, ...newContent };
         this.renderContent();
     }
+    
+    /**
+     * Tear down the PDF viewers rendered into the content
+     */
+    destroyComponents() {
+        this.pdfViewerTimers.forEach(timer => clearTimeout(timer));
+        this.pdfViewers.forEach(viewer => viewer.destroy());
+        this.pdfViewerTimers = [];
+        this.pdfViewers = [];
+    }
+    
+    destroy() {
+        this.destroyComponents();
+        
+        if (this.loadController) this.loadController.abort();
+        if (this.pendingLoad) {
+            this.pendingLoad.reject(LessonBuilder.abortError('Lesson builder was destroyed while loading'));
+            this.pendingLoad = null;
+        }
+    }
+    
+    static abortError(message) {
+        const error = new Error(message);
+        error.name = 'AbortError';
+        return error;
+    }
 }
 
 // Export for use in other modules
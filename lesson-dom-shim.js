@@ -0,0 +1,598 @@
+/**
+ * DOM Shim for rendering Thinkific Lessons in Node
+ * Just enough of the DOM for LessonBuilder, LessonSanitizer and PDFViewer
+ * Version 1.0
+ *
+ * Usage (see export-lessons.js):
+ *
+ *     const { createDocument } = require('./lesson-dom-shim');
+ *     const document = createDocument('<!DOCTYPE html><html>...</html>');
+ *     document.getElementById('contentSection').innerHTML = '<p>Hi</p>';
+ *     document.serialize();
+ *
+ * No dependencies. The HTML parser handles the markup lessons produce
+ * (void and raw-text elements, common entities, implied </p> and </li>)
+ * but is not a full HTML5 parser. Selectors support tag, #id, .class and
+ * [attr] / [attr="value"] compounds joined by descendant or child
+ * combinators. Events are accepted and ignored - nothing runs after render.
+ */
+
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+const RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title'];
+const BLOCK_TAGS = ['address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'];
+
+// Open elements that a new start tag implicitly closes
+const CLOSED_BY = {
+    p: BLOCK_TAGS,
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    option: ['option'],
+    tr: ['tr'],
+    td: ['td', 'th', 'tr'],
+    th: ['td', 'th', 'tr']
+};
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', copy: '©', reg: '®', trade: '™',
+    mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    times: '×', divide: '÷', larr: '←', rarr: '→', uarr: '↑', darr: '↓', bull: '•', middot: '·', deg: '°'
+};
+
+const REFLECTED_PROPERTIES = ['id', 'src', 'href', 'type', 'step', 'placeholder', 'value', 'title', 'alt', 'name', 'download', 'target', 'rel', 'role'];
+const BOOLEAN_PROPERTIES = ['disabled', 'checked', 'selected', 'hidden'];
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] || match;
+    });
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+}
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/\u00a0/g, '&nbsp;');
+}
+
+class ShimNode {
+    constructor(nodeType, ownerDocument = null) {
+        this.nodeType = nodeType;
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+    
+    get parentElement() {
+        return this.parentNode && this.parentNode.nodeType === ShimNode.ELEMENT_NODE ? this.parentNode : null;
+    }
+    
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === ShimNode.ELEMENT_NODE);
+    }
+    
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+    
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+    
+    get firstElementChild() {
+        return this.children[0] || null;
+    }
+    
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+    
+    set textContent(value) {
+        this.replaceChildren();
+        if (value !== null && value !== undefined && String(value) !== '') {
+            this.appendChild(new ShimText(String(value), this.ownerDocument));
+        }
+    }
+    
+    appendChild(node) {
+        return this.insertBefore(node, null);
+    }
+    
+    insertBefore(node, reference) {
+        const nodes = node.nodeType === ShimNode.DOCUMENT_FRAGMENT_NODE ? [...node.childNodes] : [node];
+        
+        nodes.forEach(child => {
+            child.remove();
+            child.parentNode = this;
+            const index = reference ? this.childNodes.indexOf(reference) : -1;
+            if (index === -1) {
+                this.childNodes.push(child);
+            } else {
+                this.childNodes.splice(index, 0, child);
+            }
+        });
+        
+        return node;
+    }
+    
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(typeof node === 'string' ? new ShimText(node, this.ownerDocument) : node));
+    }
+    
+    removeChild(node) {
+        const index = this.childNodes.indexOf(node);
+        if (index !== -1) {
+            this.childNodes.splice(index, 1);
+            node.parentNode = null;
+        }
+        return node;
+    }
+    
+    replaceChildren(...nodes) {
+        [...this.childNodes].forEach(node => this.removeChild(node));
+        this.append(...nodes);
+    }
+    
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+    
+    replaceWith(...nodes) {
+        const parent = this.parentNode;
+        if (!parent) return;
+        
+        nodes.forEach(node => parent.insertBefore(typeof node === 'string' ? new ShimText(node, this.ownerDocument) : node, this));
+        this.remove();
+    }
+    
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+    
+    querySelectorAll(selector) {
+        const matches = [];
+        const visit = node => node.children.forEach(child => {
+            if (child.matches(selector)) matches.push(child);
+            visit(child);
+        });
+        visit(this);
+        return matches;
+    }
+    
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+    
+    // Events are never dispatched outside the browser
+    addEventListener() {}
+    removeEventListener() {}
+    dispatchEvent() {
+        return true;
+    }
+}
+
+ShimNode.ELEMENT_NODE = 1;
+ShimNode.TEXT_NODE = 3;
+ShimNode.COMMENT_NODE = 8;
+ShimNode.DOCUMENT_NODE = 9;
+ShimNode.DOCUMENT_FRAGMENT_NODE = 11;
+
+class ShimText extends ShimNode {
+    constructor(data, ownerDocument) {
+        super(ShimNode.TEXT_NODE, ownerDocument);
+        this.data = data;
+    }
+    
+    get textContent() {
+        return this.data;
+    }
+    
+    set textContent(value) {
+        this.data = String(value);
+    }
+    
+    get nodeValue() {
+        return this.data;
+    }
+}
+
+class ShimComment extends ShimNode {
+    constructor(data, ownerDocument) {
+        super(ShimNode.COMMENT_NODE, ownerDocument);
+        this.data = data;
+    }
+    
+    get textContent() {
+        return '';
+    }
+}
+
+class ShimFragment extends ShimNode {
+    constructor(ownerDocument) {
+        super(ShimNode.DOCUMENT_FRAGMENT_NODE, ownerDocument);
+    }
+    
+    get innerHTML() {
+        return serializeChildren(this);
+    }
+    
+    set innerHTML(html) {
+        this.replaceChildren();
+        parseHTML(String(html), this);
+    }
+}
+
+class ShimElement extends ShimNode {
+    constructor(tagName, ownerDocument) {
+        super(ShimNode.ELEMENT_NODE, ownerDocument);
+        this.localName = tagName.toLowerCase();
+        this.tagName = this.localName.toUpperCase();
+        this.attributes = [];
+        
+        // <template> keeps its parsed markup in an inert fragment
+        if (this.localName === 'template') {
+            this.content = new ShimFragment(ownerDocument);
+        }
+    }
+    
+    getAttribute(name) {
+        const attribute = this.attributes.find(entry => entry.name === name.toLowerCase());
+        return attribute ? attribute.value : null;
+    }
+    
+    setAttribute(name, value) {
+        const key = name.toLowerCase();
+        const attribute = this.attributes.find(entry => entry.name === key);
+        if (attribute) {
+            attribute.value = String(value);
+        } else {
+            this.attributes.push({ name: key, value: String(value) });
+        }
+    }
+    
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    }
+    
+    removeAttribute(name) {
+        this.attributes = this.attributes.filter(entry => entry.name !== name.toLowerCase());
+    }
+    
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+    
+    set className(value) {
+        this.setAttribute('class', value);
+    }
+    
+    get classList() {
+        const element = this;
+        const read = () => element.className.split(/\s+/).filter(Boolean);
+        const write = classes => element.setAttribute('class', classes.join(' '));
+        
+        return {
+            contains: name => read().includes(name),
+            add: (...names) => write([...new Set([...read(), ...names])]),
+            remove: (...names) => write(read().filter(name => !names.includes(name))),
+            toggle(name, force) {
+                const on = force === undefined ? !this.contains(name) : force;
+                if (on) this.add(name); else this.remove(name);
+                return on;
+            }
+        };
+    }
+    
+    /**
+     * Inline styles, written straight back to the style attribute
+     */
+    get style() {
+        const element = this;
+        const kebab = property => property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+        const read = () => (element.getAttribute('style') || '').split(';').reduce((styles, rule) => {
+            const [name, ...value] = rule.split(':');
+            if (name.trim()) styles[name.trim()] = value.join(':').trim();
+            return styles;
+        }, {});
+        const write = (name, value) => {
+            const styles = read();
+            if (value === null || value === undefined || value === '') {
+                delete styles[name];
+            } else {
+                styles[name] = String(value);
+            }
+            const css = Object.entries(styles).map(([key, val]) => `${key}: ${val};`).join(' ');
+            if (css) element.setAttribute('style', css); else element.removeAttribute('style');
+        };
+        
+        return new Proxy({}, {
+            get(target, property) {
+                if (property === 'setProperty') return (name, value) => write(name, value);
+                if (property === 'removeProperty') return name => write(name, null);
+                if (property === 'cssText') return element.getAttribute('style') || '';
+                return typeof property === 'string' ? (read()[kebab(property)] || '') : undefined;
+            },
+            set(target, property, value) {
+                if (property === 'cssText') {
+                    element.setAttribute('style', value);
+                } else {
+                    write(kebab(property), value);
+                }
+                return true;
+            }
+        });
+    }
+    
+    get innerHTML() {
+        return serializeChildren(this.content || this);
+    }
+    
+    set innerHTML(html) {
+        const target = this.content || this;
+        target.replaceChildren();
+        parseHTML(String(html), target, RAW_TEXT_TAGS.includes(this.localName) ? this.localName : null);
+    }
+    
+    get outerHTML() {
+        return serialize(this);
+    }
+    
+    matches(selector) {
+        return selector.split(',').some(complex => matchesComplex(this, complex.trim()));
+    }
+    
+    closest(selector) {
+        for (let element = this; element; element = element.parentElement) {
+            if (element.matches(selector)) return element;
+        }
+        return null;
+    }
+    
+    // Browser behaviours that have nothing to do outside the page
+    focus() {}
+    blur() {}
+    click() {}
+}
+
+// Properties that mirror an attribute
+REFLECTED_PROPERTIES.forEach(property => {
+    Object.defineProperty(ShimElement.prototype, property, {
+        get() {
+            return this.getAttribute(property) || '';
+        },
+        set(value) {
+            this.setAttribute(property, value);
+        }
+    });
+});
+
+BOOLEAN_PROPERTIES.forEach(property => {
+    Object.defineProperty(ShimElement.prototype, property, {
+        get() {
+            return this.hasAttribute(property);
+        },
+        set(value) {
+            if (value) this.setAttribute(property, ''); else this.removeAttribute(property);
+        }
+    });
+});
+
+class ShimDocument extends ShimNode {
+    constructor() {
+        super(ShimNode.DOCUMENT_NODE, null);
+        this.doctype = null;
+        this.readyState = 'complete';
+    }
+    
+    get documentElement() {
+        return this.children.find(child => child.localName === 'html') || null;
+    }
+    
+    get head() {
+        return this.querySelector('head');
+    }
+    
+    get body() {
+        return this.querySelector('body');
+    }
+    
+    get title() {
+        const title = this.querySelector('title');
+        return title ? title.textContent : '';
+    }
+    
+    set title(value) {
+        let title = this.querySelector('title');
+        if (!title && this.head) {
+            title = this.head.appendChild(this.createElement('title'));
+        }
+        if (title) title.textContent = value;
+    }
+    
+    createElement(tagName) {
+        return new ShimElement(tagName, this);
+    }
+    
+    createTextNode(data) {
+        return new ShimText(String(data), this);
+    }
+    
+    createComment(data) {
+        return new ShimComment(String(data), this);
+    }
+    
+    createDocumentFragment() {
+        return new ShimFragment(this);
+    }
+    
+    getElementById(id) {
+        const visit = node => {
+            for (const child of node.children) {
+                if (child.getAttribute('id') === id) return child;
+                const found = visit(child);
+                if (found) return found;
+            }
+            return null;
+        };
+        return visit(this);
+    }
+    
+    /**
+     * The whole page as an HTML string
+     */
+    serialize() {
+        return (this.doctype ? `<!DOCTYPE ${this.doctype}>` : '') + serializeChildren(this);
+    }
+}
+
+/**
+ * Parse an HTML string into `parent`. `rawTag` parses the whole string as
+ * the text of that raw-text element (for script.innerHTML and friends)
+ */
+function parseHTML(html, parent, rawTag = null) {
+    const document = parent.ownerDocument || parent;
+    const stack = [parent];
+    const current = () => stack[stack.length - 1];
+    const target = () => current().content || current(); // <template> children go to its fragment
+    const text = data => {
+        if (data) target().appendChild(new ShimText(data, document));
+    };
+    
+    if (rawTag) {
+        text(rawTag === 'textarea' || rawTag === 'title' ? decodeEntities(html) : html);
+        return parent;
+    }
+    
+    const tagPattern = /<!--([\s\S]*?)(?:-->|$)|<!DOCTYPE\s+([^>]*)>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/gi;
+    let position = 0;
+    let match;
+    
+    while ((match = tagPattern.exec(html))) {
+        text(decodeEntities(html.slice(position, match.index)));
+        position = tagPattern.lastIndex;
+        
+        const [, comment, doctype, endTag, startTag, attributeSource] = match;
+        
+        if (comment !== undefined) {
+            target().appendChild(new ShimComment(comment, document));
+        } else if (doctype !== undefined) {
+            if (document.nodeType === ShimNode.DOCUMENT_NODE) document.doctype = doctype.trim();
+        } else if (endTag) {
+            const name = endTag.toLowerCase();
+            const index = stack.map(node => node.localName).lastIndexOf(name);
+            if (index > 0) stack.length = index;
+        } else {
+            const name = startTag.toLowerCase();
+            
+            while (stack.length > 1 && (CLOSED_BY[current().localName] || []).includes(name)) {
+                stack.pop();
+            }
+            
+            const element = new ShimElement(name, document);
+            const attributePattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+            let attribute;
+            while ((attribute = attributePattern.exec(attributeSource))) {
+                const value = attribute[2] !== undefined ? attribute[2] : (attribute[3] !== undefined ? attribute[3] : attribute[4]);
+                if (!element.hasAttribute(attribute[1])) {
+                    element.setAttribute(attribute[1], decodeEntities(value || ''));
+                }
+            }
+            target().appendChild(element);
+            
+            if (RAW_TEXT_TAGS.includes(name)) {
+                const close = new RegExp(`</${name}\\s*>`, 'i');
+                const rest = html.slice(position);
+                const end = rest.search(close);
+                const raw = end === -1 ? rest : rest.slice(0, end);
+                parseHTML(raw, element, name);
+                position += end === -1 ? rest.length : end + rest.slice(end).match(close)[0].length;
+                tagPattern.lastIndex = position;
+            } else if (!VOID_TAGS.includes(name)) {
+                stack.push(element);
+            }
+        }
+    }
+    
+    text(decodeEntities(html.slice(position)));
+    return parent;
+}
+
+function serializeChildren(node) {
+    return node.childNodes.map(serialize).join('');
+}
+
+function serialize(node) {
+    switch (node.nodeType) {
+        case ShimNode.TEXT_NODE: {
+            const parent = node.parentNode;
+            return parent && ['script', 'style'].includes(parent.localName) ? node.data : escapeText(node.data);
+        }
+        case ShimNode.COMMENT_NODE:
+            return `<!--${node.data}-->`;
+        case ShimNode.ELEMENT_NODE: {
+            const attributes = node.attributes.map(({ name, value }) => ` ${name}="${escapeAttribute(value)}"`).join('');
+            if (VOID_TAGS.includes(node.localName)) return `<${node.localName}${attributes}>`;
+            return `<${node.localName}${attributes}>${serializeChildren(node.content || node)}</${node.localName}>`;
+        }
+        default:
+            return serializeChildren(node);
+    }
+}
+
+function matchesCompound(element, compound) {
+    const parts = compound.match(/^[a-z][\w-]*|^\*|#[\w-]+|\.[\w-]+|\[[^\]]+\]/gi) || [];
+    if (parts.join('') !== compound) return false; // unsupported selector syntax
+    
+    return parts.every(part => {
+        if (part === '*') return true;
+        if (part[0] === '#') return element.getAttribute('id') === part.slice(1);
+        if (part[0] === '.') return element.classList.contains(part.slice(1));
+        if (part[0] === '[') {
+            const [, name, value] = part.match(/^\[\s*([^\s=\]]+)\s*(?:=\s*["']?([^"'\]]*)["']?\s*)?\]$/) || [];
+            if (!name) return false;
+            return value === undefined ? element.hasAttribute(name) : element.getAttribute(name) === value;
+        }
+        return element.localName === part.toLowerCase();
+    });
+}
+
+function matchesComplex(element, selector) {
+    const tokens = selector.replace(/\s*>\s*/g, ' > ').split(/\s+/).filter(Boolean);
+    if (!tokens.length || !matchesCompound(element, tokens[tokens.length - 1])) return false;
+    
+    let candidate = element;
+    for (let index = tokens.length - 2; index >= 0; index--) {
+        const child = tokens[index] === '>';
+        const compound = child ? tokens[--index] : tokens[index];
+        if (compound === undefined) return false;
+        
+        candidate = candidate.parentElement;
+        if (child) {
+            if (!candidate || !matchesCompound(candidate, compound)) return false;
+        } else {
+            while (candidate && !matchesCompound(candidate, compound)) candidate = candidate.parentElement;
+            if (!candidate) return false;
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * A document parsed from a full HTML page
+ */
+function createDocument(html = '<!DOCTYPE html><html><head></head><body></body></html>') {
+    const document = new ShimDocument();
+    parseHTML(html, document);
+    return document;
+}
+
+module.exports = { createDocument, parseHTML, ShimNode, ShimElement, ShimDocument };
\ No newline at end of file
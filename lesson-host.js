@@ -0,0 +1,337 @@
+/**
+ * Lesson Host SDK for Thinkific Course Pages
+ * Parent-page side of the lesson messaging protocol (see lesson-messenger.js)
+ * Version 1.0
+ *
+ * Add to the Thinkific page (Settings > Code & analytics) with:
+ *
+ *     <script src="https://your-cdn/lesson-host.js"></script>
+ *     <script>
+ *         window.lessonHost = new LessonHost({ allowedOrigins: ['https://your-cdn'] });
+ *         lessonHost.on('complete', (lesson) => console.log('Passed with', lesson.score));
+ *     </script>
+ *
+ * What it does:
+ * - Acknowledges protocol messages (lesson_ready handshake and acks)
+ * - Locks the "Complete and Continue" button while a lesson with
+ *   requires_completion has not been completed, and unlocks it on
+ *   lesson_complete (or when already_completed is reported)
+ * - Resizes the lesson iframe to the height reported in lesson_resize
+ * - Emits events for course-level customizations:
+ *   ready, requirements, complete, reset, resize, state, error
+ *   Handlers receive (lesson, message) where lesson is the tracked
+ *   { id, requiresCompletion, completed, score, completion, iframe, origin }
+ *   record. lesson_complete carries score, correct, total, attempt,
+ *   time_spent_ms and completion ('first', 'replay' or 'restored' after a
+ *   reload) - count only 'first' as a new completion.
+ *
+ * Only lessons served from allowedOrigins are listened to; without the
+ * option that is this page's own origin, so a lesson on a CDN must be
+ * listed.
+ *
+ * Load parent-storage-bridge.js next to it to keep progress on this page.
+ */
+
+class LessonHost {
+    constructor(options = {}) {
+        this.options = {
+            allowedOrigins: [], // empty = this page's origin only
+            completeButtonSelector: '[data-qa="complete-continue__btn"], .course-player__content-footer__complete-button, .complete-and-continue',
+            lockedMessage: 'Complete the lesson quiz to continue',
+            autoResize: true,
+            minHeight: 200,
+            queryTimeout: 2000,
+            debug: false,
+            ...options
+        };
+        
+        this.lessons = {};
+        this.currentLesson = null;
+        this.listeners = {};
+        this.pendingQueries = {};
+        this.messageCount = 0;
+        
+        this.handleMessage = this.handleMessage.bind(this);
+        this.blockLockedClick = this.blockLockedClick.bind(this);
+        
+        window.addEventListener('message', this.handleMessage);
+        // Capture phase so the course player's own handlers never see a locked click
+        document.addEventListener('click', this.blockLockedClick, true);
+        this.watchCompleteButton();
+        
+        this.log('Listening for lesson messages');
+    }
+    
+    // Event API
+    
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+    
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== handler);
+        return this;
+    }
+    
+    emit(event, lesson, message) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(lesson, message);
+            } catch (error) {
+                console.error(`[LessonHost] Error in ${event} handler:`, error);
+            }
+        });
+    }
+    
+    // Messages from lessons
+    
+    isAllowedOrigin(origin) {
+        const allowed = this.options.allowedOrigins.length ? this.options.allowedOrigins : [window.location.origin];
+        return origin !== 'null' && allowed.includes(origin);
+    }
+    
+    handleMessage(event) {
+        const data = event.data;
+        if (!data || typeof data.type !== 'string' || !data.type.startsWith('lesson_')) return;
+        if (data.type.startsWith('lesson_storage_')) return; // parent-storage-bridge.js
+        
+        if (!this.isAllowedOrigin(event.origin)) {
+            this.log('Ignored message from', event.origin);
+            return;
+        }
+        
+        const lesson = this.trackLesson(data, event);
+        
+        if (data.requiresAck) {
+            this.send(lesson, 'host_ack', { ack: data.id });
+        }
+        
+        switch (data.type) {
+            case 'lesson_ready':
+                this.emit('ready', lesson, data);
+                break;
+            case 'lesson_requirements':
+                lesson.requiresCompletion = data.requires_completion === true;
+                lesson.completed = data.already_completed === true;
+                this.updateCompleteButton();
+                this.emit('requirements', lesson, data);
+                break;
+            case 'lesson_complete':
+                lesson.completed = true;
+                lesson.score = data.score;
+                lesson.completion = data.completion || null;
+                this.updateCompleteButton();
+                this.emit('complete', lesson, data);
+                break;
+            case 'lesson_reset':
+                lesson.completed = false;
+                this.updateCompleteButton();
+                this.emit('reset', lesson, data);
+                break;
+            case 'lesson_resize':
+                this.resizeFrame(lesson, data.height);
+                this.emit('resize', lesson, data);
+                break;
+            case 'lesson_state':
+            case 'lesson_error':
+                this.resolveQuery(data);
+                this.emit(data.type === 'lesson_state' ? 'state' : 'error', lesson, data);
+                break;
+        }
+    }
+    
+    /**
+     * Find or create the record for the lesson that sent a message; the
+     * most recent sender becomes the lesson the button is gated for
+     */
+    trackLesson(data, event) {
+        const id = data.lesson || 'default-lesson';
+        
+        if (!this.lessons[id]) {
+            this.lessons[id] = { id, requiresCompletion: false, completed: false, score: null, completion: null };
+        }
+        
+        const lesson = this.lessons[id];
+        lesson.source = event.source;
+        lesson.origin = event.origin;
+        lesson.iframe = this.findFrame(event.source) || lesson.iframe || null;
+        this.currentLesson = lesson;
+        
+        return lesson;
+    }
+    
+    findFrame(source) {
+        return Array.from(document.querySelectorAll('iframe'))
+            .find(iframe => iframe.contentWindow === source) || null;
+    }
+    
+    resizeFrame(lesson, height) {
+        if (!this.options.autoResize || !lesson.iframe || !(height > 0)) return;
+        
+        lesson.iframe.style.height = `${Math.max(this.options.minHeight, Math.ceil(height))}px`;
+        lesson.iframe.setAttribute('scrolling', 'no');
+    }
+    
+    // Commands to lessons
+    
+    /**
+     * Post a protocol message to a lesson and return its id
+     */
+    send(lesson, type, fields = {}) {
+        if (!lesson || !lesson.source) return null;
+        
+        this.messageCount++;
+        const message = {
+            protocol: 'thinkific-lesson',
+            version: 1,
+            id: `host-${Date.now().toString(36)}-${this.messageCount}`,
+            type,
+            lesson: lesson.id,
+            timestamp: new Date().toISOString(),
+            ...fields
+        };
+        
+        lesson.source.postMessage(message, lesson.origin && lesson.origin !== 'null' ? lesson.origin : '*');
+        return message.id;
+    }
+    
+    /**
+     * Ask a lesson for its current state (LessonManager.getAnalytics())
+     */
+    queryState(lessonId = null) {
+        return this.command(lessonId, 'host_query_state');
+    }
+    
+    /**
+     * Reset a lesson's quiz, ignoring its attempt limit
+     */
+    resetLesson(lessonId = null) {
+        return this.command(lessonId, 'host_reset');
+    }
+    
+    command(lessonId, type) {
+        const lesson = lessonId ? this.lessons[lessonId] : this.currentLesson;
+        if (!lesson) return Promise.reject(new Error('No lesson has connected'));
+        
+        return new Promise((resolve, reject) => {
+            const id = this.send(lesson, type);
+            const timer = setTimeout(() => {
+                delete this.pendingQueries[id];
+                reject(new Error(`No reply to ${type} within ${this.options.queryTimeout}ms`));
+            }, this.options.queryTimeout);
+            
+            this.pendingQueries[id] = (reply) => {
+                clearTimeout(timer);
+                if (reply.type === 'lesson_error') {
+                    reject(new Error(reply.error));
+                } else {
+                    resolve(reply.state);
+                }
+            };
+        });
+    }
+    
+    resolveQuery(data) {
+        const callback = this.pendingQueries[data.replyTo];
+        if (callback) {
+            delete this.pendingQueries[data.replyTo];
+            callback(data);
+        }
+    }
+    
+    // Complete and Continue gating
+    
+    /**
+     * The lesson the button is gated for, dropped once its iframe has left
+     * the page so the next lesson's button isn't locked by the last one
+     */
+    getActiveLesson() {
+        const lesson = this.currentLesson;
+        if (lesson && !(lesson.iframe && document.contains(lesson.iframe))) {
+            this.log('Lesson frame left the page:', lesson.id);
+            this.currentLesson = null;
+        }
+        return this.currentLesson;
+    }
+    
+    isLocked() {
+        const lesson = this.getActiveLesson();
+        return !!lesson && lesson.requiresCompletion && !lesson.completed;
+    }
+    
+    getCompleteButtons() {
+        return Array.from(document.querySelectorAll(this.options.completeButtonSelector));
+    }
+    
+    updateCompleteButton() {
+        const locked = this.isLocked();
+        
+        this.getCompleteButtons().forEach(button => {
+            button.classList.toggle('lesson-host-locked', locked);
+            button.setAttribute('aria-disabled', locked ? 'true' : 'false');
+            
+            if (locked) {
+                button.disabled = true;
+                button.title = this.options.lockedMessage;
+            } else if (button.classList.contains('lesson-host-managed')) {
+                button.disabled = false;
+                button.removeAttribute('title');
+            }
+            
+            button.classList.add('lesson-host-managed');
+        });
+        
+        this.log(locked ? 'Complete button locked' : 'Complete button unlocked');
+    }
+    
+    /**
+     * The course player re-renders its footer between lessons, so keep
+     * reapplying the lock to whatever button is on the page
+     */
+    watchCompleteButton() {
+        if (typeof MutationObserver === 'undefined') return;
+        
+        this.buttonObserver = new MutationObserver(() => {
+            const locked = this.isLocked();
+            const stale = this.getCompleteButtons().some(button =>
+                button.getAttribute('aria-disabled') !== String(locked) || (locked && !button.disabled));
+            if (stale) this.updateCompleteButton();
+        });
+        
+        this.buttonObserver.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['disabled'] });
+    }
+    
+    blockLockedClick(event) {
+        if (!this.isLocked()) return;
+        
+        const button = event.target.closest && event.target.closest(this.options.completeButtonSelector);
+        if (button) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            this.log('Blocked Complete and Continue - lesson not completed');
+        }
+    }
+    
+    /**
+     * Stop listening and release the Complete and Continue button
+     */
+    destroy() {
+        window.removeEventListener('message', this.handleMessage);
+        document.removeEventListener('click', this.blockLockedClick, true);
+        if (this.buttonObserver) this.buttonObserver.disconnect();
+        
+        this.currentLesson = null;
+        this.updateCompleteButton();
+        this.listeners = {};
+    }
+    
+    log(...args) {
+        if (this.options.debug) {
+            console.log('[LessonHost]', ...args);
+        }
+    }
+}
+
+// Export for use in other modules
+window.LessonHost = LessonHost;
\ No newline at end of file
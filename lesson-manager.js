@@ -12,20 +12,80 @@ class LessonManager {
         
         this.selectedAnswers = {};
         this.lessonId = options.lessonId || this.getLessonId();
+        this.storage = options.storage || (window.LessonStorage ? LessonStorage.shared() : window.localStorage);
         this.quizState = 'not-started';
         this.debug = options.debug || false;
         
-        // Check if quiz exists
+        // Versioned postMessage protocol with the host page (lesson-messenger.js)
+        this.ownsMessenger = !options.messenger;
+        this.messenger = options.messenger || (window.LessonMessenger
+            ? new LessonMessenger({ lessonId: this.lessonId, debug: this.debug, ...options.messaging })
+            : null);
+        
+        // Quiz questions from options, the builder's lesson document, else the lessonQuiz global
+        this.quiz = options.quiz
+            || (options.builder && options.builder.quiz)
+            || (typeof lessonQuiz !== 'undefined' ? lessonQuiz : null);
         this.hasQuiz = this.checkForQuiz();
+        this.quizHash = this.hasQuiz ? this.hashQuiz(this.quiz) : null;
         
         // Quiz configuration
         this.quizConfig = {
             passingScore: options.passingScore || 100,
             showCelebration: options.showCelebration !== false,
+            questionsPerAttempt: null, // draw this many questions from the quiz as a pool
+            shuffleOptions: false,
+            maxAttempts: null, // null = unlimited
+            cooldownSeconds: 0, // wait required after a graded attempt before retrying
+            timeLimitSeconds: null, // countdown from the first answer, auto-submits at zero
             ...options.quizConfig
         };
         
-        // Simple scroll tracking
+        // Section reading: a content block counts as read once it has been
+        // on screen (visibleRatio of it, or of the viewport) for minDwellSeconds
+        this.readingConfig = {
+            minDwellSeconds: 2,
+            visibleRatio: 0.5,
+            ...options.readingConfig
+        };
+        this.sectionReading = {}; // { [sectionId]: { dwellMs, read } }
+        this.sectionObserver = null;
+        this.visibleSections = new Map();
+        
+        // Graded attempts ({ attempt, score, correct, total, passed, timedOut, answers, timestamp, durationMs })
+        this.attemptHistory = [];
+        this.attemptStartedAt = null;
+        this.retryGranted = false; // a host reset allows one attempt past the limit and cooldown
+        this.cooldownTimer = null;
+        
+        // Declarative completion requirements (lesson-requirements.js)
+        const requirementDefinitions = options.requirements
+            || (typeof lessonRequirements !== 'undefined' ? lessonRequirements : null);
+        this.requirementsEngine = window.LessonRequirements
+            ? new LessonRequirements(this, requirementDefinitions)
+            : null;
+        if (!this.requirementsEngine) {
+            console.warn('LessonRequirements class not found. Make sure lesson-requirements.js is loaded.');
+        }
+        
+        // First time the lesson was completed; later completions are reported as replays
+        this.completedAt = null;
+        this.lessonCompleted = false;
+        this.sessionStartedAt = Date.now();
+        this.quizTimer = null;
+        
+        // Question bank draw ({ seed, questionIds }) and the builder that renders it
+        this.builder = options.builder || null;
+        this.quizDraw = null;
+        
+        // Behaviour other modules take over through addHook (see LessonManager.HOOKS)
+        this.hooks = {};
+        
+        // Undo functions for listeners and timers, run by destroy()
+        this.teardown = [];
+        this.destroyed = false;
+        
+        // Scroll high-water mark; drives contentProgress only without section tracking
         this.highestScrollProgress = 0;
         
         this.init();
@@ -35,50 +95,143 @@ class LessonManager {
      * Check if this lesson has a quiz
      */
     checkForQuiz() {
-        // Check if lessonQuiz is defined and has questions
-        if (typeof lessonQuiz === 'undefined' || !Array.isArray(lessonQuiz)) {
-            return false;
+        return Array.isArray(this.quiz) && this.quiz.length > 0;
+    }
+    
+    /**
+     * Fingerprint of the quiz content, stored with progress so saved
+     * results can be invalidated when the questions change (FNV-1a)
+     */
+    hashQuiz(quiz) {
+        const text = JSON.stringify(quiz);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
         }
-        
-        return lessonQuiz.length > 0;
+        return (hash >>> 0).toString(16);
     }
     
     /**
      * Initialize the lesson manager
      */
     init() {
+        if (this.destroyed) return;
+        
+        // Asynchronous storage backends must load before progress can be read
+        if (this.storage.isReady === false) {
+            this.log('Waiting for storage backend');
+            this.storage.ready().then(() => this.init());
+            return;
+        }
+        
         this.log('Initializing lesson manager for:', this.lessonId);
         
+        // Read once, so an unusable record is only discarded (and backed up) once
+        const saved = this.readSavedProgress();
+        
+        // Render the drawn questions before answer handlers are bound
+        if (this.usesQuestionBank()) {
+            this.setupQuestionBank(saved);
+        }
+        
         this.setupEventListeners();
         
         // Load progress BEFORE declaring requirements
-        this.loadProgress();
+        this.loadProgress(saved);
+        
+        this.setupSectionTracking();
+        
+        if (this.requirementsEngine) {
+            this.requirementsEngine.setup();
+        }
+        this.lessonCompleted = this.isLessonComplete();
+        
+        if (this.usesQuestionBank()) {
+            this.saveProgress();
+        }
+        
+        // Pick up a timed attempt that was running before a reload
+        if (this.quizState === 'in-progress' && this.attemptStartedAt) {
+            this.startQuizTimer();
+        }
+        
+        this.setupHostMessaging();
         
         // Now declare requirements with completion state
         this.declareLessonRequirements();
         
-        // Handle completion notification based on quiz presence
-        if (this.hasQuiz) {
-            // If quiz was already passed, notify parent immediately
-            if (this.requirements.quizPassed) {
-                setTimeout(() => {
-                    this.notifyCompletion();
-                    this.log('Previously completed quiz - notified parent');
-                }, 500);
-            }
-        } else {
-            // No quiz - lesson is always "complete" for button purposes
-            this.log('No quiz detected - lesson does not require completion');
+        // If the lesson was already completed, notify parent immediately
+        if (this.lessonCompleted) {
+            this.defer(() => {
+                this.notifyCompletion('restored');
+                this.log('Previously completed lesson - notified parent');
+            }, 500);
+        } else if (!this.requiresCompletion()) {
+            // Nothing required - lesson is always "complete" for button purposes
+            this.log('No required requirements - lesson does not require completion');
         }
         
         // Initial scroll check
-        setTimeout(() => {
+        this.defer(() => {
             this.trackScrollProgress();
         }, 100);
         
         this.log('Lesson manager initialized successfully');
     }
     
+    /**
+     * Whether questions are drawn from the quiz as a pool and/or shuffled
+     */
+    usesQuestionBank() {
+        return this.hasQuiz && !!(this.quizConfig.questionsPerAttempt || this.quizConfig.shuffleOptions);
+    }
+    
+    /**
+     * Restore the saved draw (or draw a new one) and render it
+     */
+    setupQuestionBank(saved = this.readSavedProgress()) {
+        const savedDraw = saved && saved.quizDraw;
+        
+        this.quizDraw = this.isValidQuizDraw(savedDraw) ? savedDraw : this.createQuizDraw();
+        this.renderQuizDraw();
+    }
+    
+    /**
+     * Draw a fresh set of questions with a new seed
+     */
+    createQuizDraw() {
+        const seed = Math.floor(Math.random() * 4294967296);
+        const questionIds = this.getQuizBuilder().drawQuestionIds(this.quiz.length, this.quizConfig.questionsPerAttempt, seed);
+        
+        this.log('New quiz draw:', { seed, questionIds });
+        
+        return { seed, questionIds };
+    }
+    
+    /**
+     * A saved draw is only reused if it still fits the current pool
+     */
+    isValidQuizDraw(draw) {
+        if (!draw || typeof draw.seed !== 'number' || !Array.isArray(draw.questionIds)) return false;
+        
+        const expectedCount = Math.min(this.quizConfig.questionsPerAttempt || this.quiz.length, this.quiz.length);
+        return draw.questionIds.length === expectedCount &&
+            draw.questionIds.every(id => Number.isInteger(id) && id >= 0 && id < this.quiz.length);
+    }
+    
+    renderQuizDraw() {
+        const builder = this.getQuizBuilder();
+        builder.renderQuiz(builder.drawQuestions(this.quiz, this.quizDraw, this.quizConfig.shuffleOptions));
+    }
+    
+    getQuizBuilder() {
+        if (!this.builder) {
+            this.builder = new LessonBuilder({});
+        }
+        return this.builder;
+    }
+    
     /**
      * Track scroll progress - simple and reliable, stops at quiz
      */
@@ -115,9 +268,13 @@ class LessonManager {
         
         if (currentScrollProgress > this.highestScrollProgress) {
             this.highestScrollProgress = currentScrollProgress;
-            this.requirements.contentProgress = this.highestScrollProgress;
             
-            this.updateProgressDisplay();
+            // With section tracking, reading progress comes from sections actually read
+            if (!this.sectionObserver) {
+                this.requirements.contentProgress = this.highestScrollProgress;
+                this.updateProgressDisplay();
+                this.checkLessonCompletion();
+            }
             
             if (this.debug) {
                 this.log(`Scroll progress updated: ${this.highestScrollProgress.toFixed(1)}%`);
@@ -166,225 +323,1097 @@ class LessonManager {
      * Set up event listeners
      */
     setupEventListeners() {
+        this.bindQuizEvents();
+        
+        this.setupScrollTracking();
+        
+        this.log('Event listeners setup complete');
+    }
+    
+    /**
+     * Bind answer handlers for every supported question type
+     */
+    bindQuizEvents() {
         document.querySelectorAll('.answer-option').forEach(option => {
-            option.addEventListener('click', (e) => this.handleAnswerClick(e));
+            this.listen(option, 'click', (e) => this.handleAnswerClick(e));
         });
         
-        this.setupScrollTracking();
+        document.querySelectorAll('.answer-input').forEach(input => {
+            this.listen(input, 'input', (e) => this.handleAnswerInput(e));
+        });
+        
+        document.querySelectorAll('.answer-select').forEach(select => {
+            this.listen(select, 'change', (e) => this.handleAnswerInput(e));
+        });
+        
+        document.querySelectorAll('.order-move').forEach(button => {
+            this.listen(button, 'click', (e) => this.handleOrderMove(e));
+        });
+    }
+    
+    /**
+     * Set up scroll tracking
+     */
+    setupScrollTracking() {
+        const handleScroll = () => {
+            clearTimeout(this.scrollTimeout);
+            this.scrollTimeout = setTimeout(() => {
+                this.trackScrollProgress();
+            }, 100);
+        };
+        
+        this.listen(window, 'scroll', handleScroll, { passive: true });
+        this.listen(window, 'resize', handleScroll);
+        
+        this.log('Scroll tracking enabled');
+    }
+    
+    /**
+     * Watch each LessonBuilder content block and accumulate the time it
+     * spends on screen; falls back to scroll tracking without
+     * IntersectionObserver or rendered sections
+     */
+    setupSectionTracking() {
+        const sections = Array.from(document.querySelectorAll('[data-lesson-section]'));
+        
+        if (typeof IntersectionObserver === 'undefined' || sections.length === 0) {
+            this.log('Section tracking unavailable - using scroll position for reading progress');
+            return;
+        }
+        
+        this.sections = sections;
+        this.sections.forEach(section => {
+            const reading = this.sectionReading[this.getSectionId(section)];
+            if (reading && reading.read) section.classList.add('section-read');
+        });
+        
+        const thresholds = [0, 0.25, 0.5, 0.75, 1];
+        this.sectionObserver = new IntersectionObserver(entries => this.handleSectionVisibility(entries), { threshold: thresholds });
+        this.sections.forEach(section => this.sectionObserver.observe(section));
+        
+        this.sectionTimer = setInterval(() => this.updateSectionDwell(), 1000);
+        
+        this.log('Section tracking enabled for', sections.length, 'sections');
+    }
+    
+    getSectionId(section) {
+        return section.getAttribute('data-lesson-section');
+    }
+    
+    /**
+     * Tall sections never reach visibleRatio, so filling that share of the
+     * viewport counts as visible too
+     */
+    isSectionVisible(entry) {
+        if (!entry.isIntersecting) return false;
+        
+        const viewportHeight = entry.rootBounds ? entry.rootBounds.height : window.innerHeight;
+        return entry.intersectionRatio >= this.readingConfig.visibleRatio
+            || entry.intersectionRect.height >= viewportHeight * this.readingConfig.visibleRatio;
+    }
+    
+    handleSectionVisibility(entries) {
+        const now = Date.now();
+        
+        entries.forEach(entry => {
+            const id = this.getSectionId(entry.target);
+            
+            if (this.isSectionVisible(entry)) {
+                if (!this.visibleSections.has(id)) this.visibleSections.set(id, now);
+            } else if (this.visibleSections.has(id)) {
+                this.addSectionDwell(id, now - this.visibleSections.get(id));
+                this.visibleSections.delete(id);
+            }
+        });
+    }
+    
+    /**
+     * Credit on-screen time to visible sections; time in a background tab
+     * is not counted
+     */
+    updateSectionDwell() {
+        const now = Date.now();
+        const hidden = document.visibilityState === 'hidden';
+        
+        this.visibleSections.forEach((since, id) => {
+            if (!hidden) this.addSectionDwell(id, now - since);
+            this.visibleSections.set(id, now);
+        });
+    }
+    
+    addSectionDwell(id, ms) {
+        const reading = this.sectionReading[id] || (this.sectionReading[id] = { dwellMs: 0, read: false });
+        reading.dwellMs += ms;
+        
+        if (!reading.read && reading.dwellMs >= this.readingConfig.minDwellSeconds * 1000) {
+            reading.read = true;
+            
+            const section = this.sections.find(element => this.getSectionId(element) === id);
+            if (section) section.classList.add('section-read');
+            
+            window.dispatchEvent(new CustomEvent('lessonSectionRead', {
+                detail: { sectionId: id, element: section || null, lessonId: this.lessonId }
+            }));
+            
+            this.log('Section read:', id);
+            this.updateSectionProgress();
+        }
+    }
+    
+    /**
+     * Reading progress is the share of sections read; it never goes down,
+     * so progress saved before section tracking existed is kept
+     */
+    updateSectionProgress() {
+        const read = this.sections.filter(section => {
+            const reading = this.sectionReading[this.getSectionId(section)];
+            return reading && reading.read;
+        }).length;
+        const progress = (read / this.sections.length) * 100;
+        
+        if (progress > this.requirements.contentProgress) {
+            this.requirements.contentProgress = progress;
+            this.updateProgressDisplay();
+            this.checkLessonCompletion();
+        }
+        
+        this.saveProgress();
+    }
+    
+    /**
+     * Whether the section containing (or contained in) element has been read
+     */
+    isSectionRead(element) {
+        if (!this.sections) return false;
+        
+        return this.sections.some(section => {
+            const reading = this.sectionReading[this.getSectionId(section)];
+            return reading && reading.read && (section === element || section.contains(element) || element.contains(section));
+        });
+    }
+    
+    /**
+     * Update progress display
+     */
+    updateProgressDisplay() {
+        const progressBar = document.getElementById('progressBar') || document.querySelector('.progress-bar-fill');
+        if (progressBar) {
+            progressBar.style.width = this.requirements.contentProgress + '%';
+        }
+        
+        this.updateBottomBarStatus();
+        
+        this.emit('lessonProgressUpdated', {
+            contentProgress: this.requirements.contentProgress,
+            quizState: this.quizState,
+            requirements: this.getRequirementStatuses()
+        });
+    }
+    
+    /**
+     * Update bottom bar status
+     */
+    updateBottomBarStatus() {
+        this.getRequirementStatuses().forEach(requirement => {
+            const icon = document.getElementById(`${requirement.id}Icon`);
+            const text = icon?.nextElementSibling;
+            
+            if (icon && text) {
+                icon.className = `requirement-icon ${requirement.status}`;
+                text.textContent = requirement.label;
+            }
+        });
+    }
+    
+    /**
+     * Status and label of every declared requirement
+     */
+    getRequirementStatuses() {
+        return this.requirementsEngine ? this.requirementsEngine.getStatuses() : [];
+    }
+    
+    requiresCompletion() {
+        return this.requirementsEngine ? this.requirementsEngine.hasRequired() : this.hasQuiz;
+    }
+    
+    isLessonComplete() {
+        if (!this.requirementsEngine) {
+            return this.hasQuiz && this.requirements.quizPassed;
+        }
+        return this.requirementsEngine.hasRequired() && this.requirementsEngine.isComplete();
+    }
+    
+    /**
+     * Called by requirements when their progress moves
+     */
+    handleRequirementsChanged() {
+        this.updateProgressDisplay();
+        this.checkLessonCompletion();
+        this.saveProgress();
+    }
+    
+    /**
+     * Notify the host when the lesson has just become complete; returns
+     * 'first' or 'replay' in that case, otherwise null
+     */
+    checkLessonCompletion() {
+        const complete = this.isLessonComplete();
+        if (complete === this.lessonCompleted) return null;
+        
+        this.lessonCompleted = complete;
+        if (!complete) return null;
+        
+        const completion = this.completedAt ? 'replay' : 'first';
+        this.completedAt = this.completedAt || new Date().toISOString();
+        this.notifyCompletion(completion);
+        
+        const attempt = this.getLastPassedAttempt();
+        this.emit('lessonCompleted', {
+            completion,
+            completedAt: this.completedAt,
+            score: attempt ? attempt.score : null
+        });
+        
+        return completion;
+    }
+    
+    /**
+     * Handle answer clicks
+     */
+    handleAnswerClick(event) {
+        if (this.quizState === 'passed') return;
+        
+        this.markQuizStarted();
+        
+        const option = event.target.closest('.answer-option');
+        const question = option.closest('.question-block');
+        const questionIndex = this.getQuestionIndex(question);
+        
+        if (this.getQuestionType(question) === 'multi-select') {
+            option.classList.toggle('selected');
+            this.selectedAnswers[questionIndex] = Array.from(question.querySelectorAll('.answer-option.selected'))
+                .map(opt => opt.getAttribute('data-answer'));
+        } else {
+            question.querySelectorAll('.answer-option').forEach(opt => {
+                opt.classList.remove('selected');
+            });
+            
+            option.classList.add('selected');
+            this.selectedAnswers[questionIndex] = option.getAttribute('data-answer');
+        }
+        
+        this.saveProgress();
+        this.emitAnswerSelected(question, questionIndex);
+        
+        this.log('Answer selected:', questionIndex, this.selectedAnswers[questionIndex]);
+    }
+    
+    /**
+     * Handle typed answers and matching dropdowns
+     */
+    handleAnswerInput(event) {
+        if (this.quizState === 'passed') return;
+        
+        this.markQuizStarted();
+        
+        const question = event.target.closest('.question-block');
+        const questionIndex = this.getQuestionIndex(question);
+        
+        if (this.getQuestionType(question) === 'matching') {
+            this.selectedAnswers[questionIndex] = Array.from(question.querySelectorAll('.answer-select'))
+                .map(select => select.value || null);
+        } else {
+            this.selectedAnswers[questionIndex] = event.target.value;
+        }
+        
+        this.saveProgress();
+        this.emitAnswerSelected(question, questionIndex);
+        
+        this.log('Answer entered:', questionIndex, this.selectedAnswers[questionIndex]);
+    }
+    
+    /**
+     * Handle up/down moves in ordering questions
+     */
+    handleOrderMove(event) {
+        if (this.quizState === 'passed') return;
+        
+        this.markQuizStarted();
+        
+        const button = event.target.closest('.order-move');
+        const item = button.closest('.ordering-item');
+        const list = item.parentNode;
+        
+        if (button.getAttribute('data-direction') === 'up') {
+            if (item.previousElementSibling) {
+                list.insertBefore(item, item.previousElementSibling);
+            }
+        } else if (item.nextElementSibling) {
+            list.insertBefore(item.nextElementSibling, item);
+        }
+        
+        const question = item.closest('.question-block');
+        const questionIndex = this.getQuestionIndex(question);
+        this.selectedAnswers[questionIndex] = this.getOrderingSequence(question);
+        
+        this.saveProgress();
+        this.emitAnswerSelected(question, questionIndex);
+        
+        this.log('Order changed:', questionIndex, this.selectedAnswers[questionIndex]);
+    }
+    
+    emitAnswerSelected(question, questionIndex) {
+        this.emit('answerSelected', {
+            questionIndex,
+            questionType: this.getQuestionType(question),
+            answer: this.selectedAnswers[questionIndex]
+        });
+    }
+    
+    /**
+     * Move the quiz into the in-progress state on first interaction
+     */
+    markQuizStarted() {
+        if (this.quizState === 'not-started') {
+            this.attemptStartedAt = Date.now();
+            this.transitionQuiz('in-progress');
+            this.startQuizTimer();
+            this.updateProgressDisplay();
+            this.saveProgress();
+            this.emit('quizStarted', { attempt: this.attemptHistory.length + 1 });
+        }
+    }
+    
+    canTransitionQuiz(next) {
+        return (LessonManager.QUIZ_TRANSITIONS[this.quizState] || []).includes(next);
+    }
+    
+    /**
+     * Move the quiz to another state (see LessonManager.QUIZ_TRANSITIONS);
+     * invalid transitions are refused and reported
+     */
+    transitionQuiz(next) {
+        const previous = this.quizState;
+        
+        if (!this.canTransitionQuiz(next)) {
+            console.warn(`[LessonManager] Invalid quiz transition: ${previous} -> ${next}`);
+            return false;
+        }
+        
+        this.quizState = next;
+        this.requirements.quizPassed = next === 'passed';
+        this.renderQuizState();
+        
+        this.emit('quizStateChanged', { from: previous, to: next });
+        return true;
+    }
+    
+    /**
+     * Dispatch a lesson lifecycle event on window; detail always carries lessonId
+     */
+    emit(name, detail = {}) {
+        window.dispatchEvent(new CustomEvent(name, {
+            detail: { lessonId: this.lessonId, ...detail }
+        }));
+    }
+    
+    /**
+     * addEventListener that destroy() undoes
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.teardown.push(() => target.removeEventListener(type, handler, options));
+    }
+    
+    /**
+     * setTimeout that destroy() cancels
+     */
+    defer(fn, delay) {
+        const timer = setTimeout(fn, delay);
+        this.teardown.push(() => clearTimeout(timer));
+    }
+    
+    /**
+     * Listen for one of this lesson's events; returns a function that
+     * removes the listener
+     */
+    on(name, handler) {
+        const listener = (event) => {
+            if (event.detail && event.detail.lessonId === this.lessonId) {
+                handler(event.detail, event);
+            }
+        };
+        
+        window.addEventListener(name, listener);
+        return () => window.removeEventListener(name, listener);
+    }
+    
+    /**
+     * Take over part of the lesson's behaviour (see LessonManager.HOOKS);
+     * returns a function that removes the hook
+     */
+    addHook(name, fn) {
+        if (!LessonManager.HOOKS.includes(name)) {
+            console.warn(`[LessonManager] Unknown hook: ${name}`);
+            return () => {};
+        }
+        
+        (this.hooks[name] = this.hooks[name] || []).push(fn);
+        return () => {
+            this.hooks[name] = (this.hooks[name] || []).filter(hook => hook !== fn);
+        };
+    }
+    
+    /**
+     * Call every hook registered under name; returns false when there are none
+     */
+    runHooks(name, ...args) {
+        const hooks = this.hooks[name] || [];
+        
+        hooks.forEach(hook => {
+            try {
+                hook(...args);
+            } catch (error) {
+                console.error(`[LessonManager] Error in ${name} hook:`, error);
+            }
+        });
+        
+        return hooks.length > 0;
+    }
+    
+    /**
+     * Start the countdown for timed quizzes (no-op without a time limit)
+     */
+    startQuizTimer() {
+        if (!this.quizConfig.timeLimitSeconds || this.quizTimer) return;
+        
+        const tick = () => {
+            const remaining = this.getQuizTimeRemaining();
+            
+            window.dispatchEvent(new CustomEvent('quizTimerUpdated', {
+                detail: {
+                    remainingSeconds: remaining,
+                    timeLimitSeconds: this.quizConfig.timeLimitSeconds,
+                    lessonId: this.lessonId
+                }
+            }));
+            this.updateBottomBarStatus();
+            
+            if (remaining <= 0) {
+                this.stopQuizTimer();
+                this.log('Time limit reached - submitting quiz');
+                this.checkAnswers({ timedOut: true });
+            }
+        };
+        
+        this.quizTimer = setInterval(tick, 1000);
+        tick();
+    }
+    
+    stopQuizTimer() {
+        if (this.quizTimer) {
+            clearInterval(this.quizTimer);
+            this.quizTimer = null;
+        }
+        
+        window.dispatchEvent(new CustomEvent('quizTimerUpdated', {
+            detail: { remainingSeconds: null, timeLimitSeconds: this.quizConfig.timeLimitSeconds, lessonId: this.lessonId }
+        }));
+    }
+    
+    /**
+     * Whole seconds left in a timed attempt, or null when no countdown is running
+     */
+    getQuizTimeRemaining() {
+        if (!this.quizConfig.timeLimitSeconds || !this.attemptStartedAt || this.quizState !== 'in-progress') {
+            return null;
+        }
+        
+        const deadline = this.attemptStartedAt + this.quizConfig.timeLimitSeconds * 1000;
+        return Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+    }
+    
+    getQuestionIndex(question) {
+        return Array.from(document.querySelectorAll('.question-block')).indexOf(question);
+    }
+    
+    getQuestionType(question) {
+        return question.getAttribute('data-type') || 'single';
+    }
+    
+    getOrderingSequence(question) {
+        return Array.from(question.querySelectorAll('.ordering-item'))
+            .map(item => item.getAttribute('data-answer'));
+    }
+    
+    /**
+     * Read the expected answer from a question block's data attributes
+     */
+    getCorrectAnswer(question) {
+        const correct = question.getAttribute('data-correct');
+        
+        switch (this.getQuestionType(question)) {
+            case 'multi-select':
+            case 'short-answer':
+            case 'ordering':
+            case 'matching':
+                return JSON.parse(correct);
+            case 'numeric':
+                return parseFloat(correct);
+            default:
+                return correct;
+        }
+    }
+    
+    /**
+     * Decide whether an answer is correct for the question's type
+     */
+    isAnswerCorrect(question, answer) {
+        const type = this.getQuestionType(question);
+        const correct = this.getCorrectAnswer(question);
+        
+        if (answer === undefined || answer === null || answer === '') return false;
+        
+        switch (type) {
+            case 'multi-select': {
+                const selected = [...answer].sort();
+                const expected = [...correct].sort();
+                return selected.length === expected.length &&
+                    selected.every((letter, i) => letter === expected[i]);
+            }
+            case 'short-answer': {
+                const caseSensitive = question.getAttribute('data-case-sensitive') === 'true';
+                const normalize = (text) => {
+                    const collapsed = String(text).trim().replace(/\s+/g, ' ');
+                    return caseSensitive ? collapsed : collapsed.toLowerCase();
+                };
+                return correct.some(variant => normalize(variant) === normalize(answer));
+            }
+            case 'numeric': {
+                const value = parseFloat(answer);
+                const tolerance = parseFloat(question.getAttribute('data-tolerance')) || 0;
+                return !isNaN(value) && Math.abs(value - correct) <= tolerance;
+            }
+            case 'ordering':
+            case 'matching':
+                return correct.length === answer.length &&
+                    correct.every((letter, i) => letter === answer[i]);
+            default:
+                return answer === correct;
+        }
+    }
+    
+    /**
+     * Apply review-mode highlighting to a graded question
+     */
+    highlightQuestion(question, answer, isCorrect) {
+        const type = this.getQuestionType(question);
+        const correct = this.getCorrectAnswer(question);
+        
+        question.classList.add(isCorrect ? 'question-correct' : 'question-incorrect');
+        
+        switch (type) {
+            case 'short-answer':
+            case 'numeric': {
+                const input = question.querySelector('.answer-input');
+                if (input) input.classList.add(isCorrect ? 'correct' : 'incorrect');
+                
+                if (!isCorrect) {
+                    const reveal = document.createElement('div');
+                    reveal.className = 'correct-answer-reveal';
+                    reveal.textContent = `Correct answer: ${type === 'numeric' ? correct : correct[0]}`;
+                    question.appendChild(reveal);
+                }
+                break;
+            }
+            case 'ordering':
+                question.querySelectorAll('.ordering-item').forEach((item, position) => {
+                    const inPlace = item.getAttribute('data-answer') === correct[position];
+                    item.classList.add(inPlace ? 'correct' : 'incorrect');
+                });
+                break;
+            case 'matching':
+                question.querySelectorAll('.answer-select').forEach((select, promptIndex) => {
+                    const matched = answer && answer[promptIndex] === correct[promptIndex];
+                    select.classList.add(matched ? 'correct' : 'incorrect');
+                });
+                break;
+            default: {
+                const expected = Array.isArray(correct) ? correct : [correct];
+                const selected = answer === undefined ? [] : [].concat(answer);
+                
+                selected.forEach(value => {
+                    const selectedOption = question.querySelector(`[data-answer="${value}"]`);
+                    if (selectedOption && !expected.includes(value)) {
+                        selectedOption.classList.add('incorrect');
+                    }
+                });
+                
+                expected.forEach(value => {
+                    const correctOption = question.querySelector(`[data-answer="${value}"]`);
+                    if (correctOption) correctOption.classList.add('correct');
+                });
+            }
+        }
+    }
+    
+    /**
+     * Show the question's explanation and feedback for the chosen options
+     */
+    revealExplanation(question, answer) {
+        const explanation = question.querySelector('.question-explanation');
+        if (explanation) explanation.classList.add('show');
         
-        this.log('Event listeners setup complete');
+        const selected = answer === undefined ? [] : [].concat(answer);
+        question.querySelectorAll('.answer-option').forEach(option => {
+            const optionFeedback = option.querySelector('.option-feedback');
+            if (optionFeedback && selected.includes(option.getAttribute('data-answer'))) {
+                optionFeedback.classList.add('show');
+            }
+        });
     }
     
     /**
-     * Set up scroll tracking
+     * Check quiz answers
      */
-    setupScrollTracking() {
-        let scrollTimeout;
+    checkAnswers(options = {}) {
+        const feedback = document.getElementById('quizFeedback');
+        const attemptStatus = this.getAttemptStatus();
         
-        const handleScroll = () => {
-            clearTimeout(scrollTimeout);
-            scrollTimeout = setTimeout(() => {
-                this.trackScrollProgress();
-            }, 100);
-        };
+        if (!this.canTransitionQuiz('passed')) {
+            this.log('Quiz already graded - reset it to try again');
+            return;
+        }
         
-        window.addEventListener('scroll', handleScroll, { passive: true });
+        if (!attemptStatus.canRetry) {
+            if (feedback) {
+                feedback.className = 'quiz-feedback error show';
+                feedback.textContent = this.getAttemptBlockedMessage(attemptStatus);
+            }
+            this.log('Quiz submission blocked:', attemptStatus);
+            return;
+        }
         
-        window.addEventListener('resize', () => {
-            setTimeout(() => {
-                this.trackScrollProgress();
-            }, 100);
+        this.stopQuizTimer();
+        
+        const { correctCount, results, total, scorePercentage } = this.gradeQuestions();
+        const passed = scorePercentage >= this.quizConfig.passingScore;
+        
+        this.recordAttempt(scorePercentage, correctCount, total, passed, !!options.timedOut);
+        
+        this.transitionQuiz(passed ? 'passed' : 'failed');
+        if (!passed) {
+            this.notifyReset();
+        }
+        
+        // Passing completes the lesson only when every other requirement is met too
+        const completion = this.checkLessonCompletion();
+        
+        this.emit('quizGraded', {
+            score: scorePercentage,
+            correct: correctCount,
+            total,
+            passed,
+            passingScore: this.quizConfig.passingScore,
+            timedOut: !!options.timedOut,
+            attempt: this.attemptHistory.length,
+            completion,
+            results
         });
         
-        this.log('Scroll tracking enabled');
+        this.showQuizFeedback(scorePercentage, correctCount, total, passed, options.timedOut);
+        
+        if (passed && this.quizConfig.showCelebration) {
+            this.showCelebration(scorePercentage);
+        }
+        
+        this.updateProgressDisplay();
+        this.updateAttemptsDisplay();
+        this.saveProgress();
+        
+        this.log('Quiz checked:', { correctCount, total, scorePercentage, passed });
     }
     
     /**
-     * Update progress display
+     * Grade every rendered question against the selected answers and
+     * apply review highlighting
      */
-    updateProgressDisplay() {
-        const progressBar = document.getElementById('progressBar') || document.querySelector('.progress-bar-fill');
-        if (progressBar) {
-            progressBar.style.width = this.requirements.contentProgress + '%';
-        }
-        
-        this.updateBottomBarStatus();
+    gradeQuestions() {
+        const questions = document.querySelectorAll('.question-block');
+        const results = [];
+        let correctCount = 0;
         
-        window.dispatchEvent(new CustomEvent('lessonProgressUpdated', {
-            detail: {
-                contentProgress: this.requirements.contentProgress,
-                quizState: this.quizState,
-                lessonId: this.lessonId
+        questions.forEach((question, index) => {
+            if (this.getQuestionType(question) === 'ordering' && !this.selectedAnswers[index]) {
+                this.selectedAnswers[index] = this.getOrderingSequence(question);
             }
-        }));
+            
+            const selectedAnswer = this.selectedAnswers[index];
+            const isCorrect = this.isAnswerCorrect(question, selectedAnswer);
+            
+            if (isCorrect) correctCount++;
+            results.push({ questionIndex: index, answer: selectedAnswer, correct: isCorrect });
+            
+            this.highlightQuestion(question, selectedAnswer, isCorrect);
+            this.revealExplanation(question, selectedAnswer);
+        });
+        
+        return {
+            correctCount,
+            results,
+            total: questions.length,
+            scorePercentage: Math.round((correctCount / questions.length) * 100)
+        };
     }
     
     /**
-     * Update bottom bar status
+     * Show the pass/fail message below the quiz
      */
-    updateBottomBarStatus() {
-        const readingIcon = document.getElementById('readingIcon');
-        const readingText = readingIcon?.nextElementSibling;
-        const quizIcon = document.getElementById('quizIcon');
-        const quizText = quizIcon?.nextElementSibling;
-        
-        if (readingIcon && readingText) {
-            if (this.requirements.contentProgress >= 90) {
-                readingIcon.classList.remove('incomplete');
-                readingIcon.classList.add('complete');
-                readingText.textContent = 'Reading Complete';
+    showQuizFeedback(scorePercentage, correctCount, total, passed, timedOut = false) {
+        const feedback = document.getElementById('quizFeedback');
+        if (!feedback) return;
+        
+        if (passed) {
+            feedback.className = 'quiz-feedback success show';
+            if (scorePercentage === 100) {
+                feedback.textContent = `🎉 Perfect! All ${correctCount} answers correct.`;
             } else {
-                readingIcon.classList.remove('complete');
-                readingIcon.classList.add('incomplete');
-                readingText.textContent = 'Reading Incomplete';
+                feedback.textContent = `🎉 Great job! You scored ${scorePercentage}% (${correctCount}/${total} correct).`;
             }
+        } else {
+            feedback.className = 'quiz-feedback error show';
+            feedback.textContent = `You scored ${scorePercentage}% (${correctCount}/${total} correct). You need ${this.quizConfig.passingScore}% to pass. Try again!`;
         }
         
-        if (quizIcon && quizText) {
-            quizIcon.className = 'requirement-icon';
+        if (timedOut) {
+            feedback.textContent = `⏱ Time's up! ${feedback.textContent}`;
+        }
+    }
+    
+    /**
+     * Re-apply saved selections to the rendered quiz and, for graded
+     * quizzes, rebuild the review state shown before the reload
+     */
+    restoreQuizState() {
+        document.querySelectorAll('.question-block').forEach((question, index) => {
+            const answer = this.selectedAnswers[index];
+            if (answer === undefined || answer === null) return;
             
-            switch (this.quizState) {
-                case 'not-started':
-                    quizIcon.classList.add('incomplete');
-                    quizText.textContent = 'Quiz Not Started';
-                    break;
-                case 'in-progress':
-                    quizIcon.classList.add('in-progress');
-                    quizText.textContent = 'Quiz In Progress';
+            switch (this.getQuestionType(question)) {
+                case 'short-answer':
+                case 'numeric': {
+                    const input = question.querySelector('.answer-input');
+                    if (input) input.value = answer;
                     break;
-                case 'failed':
-                    quizIcon.classList.add('failed');
-                    quizText.textContent = 'Quiz Failed - Try Again';
+                }
+                case 'ordering': {
+                    const list = question.querySelector('.ordering-list');
+                    [].concat(answer).forEach(letter => {
+                        const item = list && list.querySelector(`[data-answer="${letter}"]`);
+                        if (item) list.appendChild(item);
+                    });
                     break;
-                case 'passed':
-                    quizIcon.classList.add('complete');
-                    quizText.textContent = 'Quiz Passed';
+                }
+                case 'matching':
+                    question.querySelectorAll('.answer-select').forEach((select, promptIndex) => {
+                        select.value = answer[promptIndex] || '';
+                    });
                     break;
+                default:
+                    [].concat(answer).forEach(value => {
+                        const option = question.querySelector(`.answer-option[data-answer="${value}"]`);
+                        if (option) option.classList.add('selected');
+                    });
             }
+        });
+        
+        if (this.requirements.quizPassed || this.quizState === 'failed') {
+            const passed = this.requirements.quizPassed;
+            const lastAttempt = this.attemptHistory[this.attemptHistory.length - 1];
+            
+            this.gradeQuestions();
+            this.renderQuizState();
+            
+            if (lastAttempt) {
+                this.showQuizFeedback(lastAttempt.score, lastAttempt.correct, lastAttempt.total, passed, lastAttempt.timedOut);
+            }
+        } else if (this.quizState === 'in-progress') {
+            this.renderQuizState();
         }
     }
     
     /**
-     * Handle answer clicks
+     * Store a graded attempt in the history
      */
-    handleAnswerClick(event) {
-        if (this.quizState === 'passed') return;
+    recordAttempt(score, correct, total, passed, timedOut = false) {
+        const now = Date.now();
         
-        if (this.quizState === 'not-started') {
-            this.quizState = 'in-progress';
-            this.updateProgressDisplay();
-        }
-        
-        const option = event.target;
-        const question = option.closest('.question-block');
-        
-        question.querySelectorAll('.answer-option').forEach(opt => {
-            opt.classList.remove('selected');
+        this.retryGranted = false;
+        this.attemptHistory.push({
+            attempt: this.attemptHistory.length + 1,
+            score,
+            correct,
+            total,
+            passed,
+            timedOut,
+            answers: { ...this.selectedAnswers },
+            questionIds: this.quizDraw ? [...this.quizDraw.questionIds] : null,
+            timestamp: new Date(now).toISOString(),
+            durationMs: this.attemptStartedAt ? now - this.attemptStartedAt : null
         });
         
-        option.classList.add('selected');
+        this.attemptStartedAt = null;
+    }
+    
+    /**
+     * Attempts used/remaining and any cooldown still running
+     */
+    getAttemptStatus() {
+        const used = this.attemptHistory.length;
+        const max = this.quizConfig.maxAttempts;
+        const remaining = max ? Math.max(0, max - used) : null;
         
-        const questionIndex = Array.from(document.querySelectorAll('.question-block')).indexOf(question);
-        this.selectedAnswers[questionIndex] = option.getAttribute('data-answer');
+        const lastAttempt = this.attemptHistory[used - 1];
+        const cooldownMs = (this.quizConfig.cooldownSeconds || 0) * 1000;
+        const cooldownRemaining = lastAttempt && cooldownMs
+            ? Math.max(0, new Date(lastAttempt.timestamp).getTime() + cooldownMs - Date.now())
+            : 0;
         
-        this.log('Answer selected:', questionIndex, this.selectedAnswers[questionIndex]);
+        return {
+            used,
+            max,
+            remaining,
+            cooldownRemaining,
+            canRetry: this.retryGranted || (remaining !== 0 && cooldownRemaining === 0)
+        };
+    }
+    
+    getAttemptBlockedMessage(status) {
+        if (status.remaining === 0) {
+            return `You have used all ${status.max} attempts for this quiz.`;
+        }
+        return `You can try again in ${this.formatDuration(status.cooldownRemaining)}.`;
     }
     
     /**
-     * Check quiz answers
+     * Show attempt count, history and cooldown in the quiz, and gate the reset button
      */
-    checkAnswers() {
-        const questions = document.querySelectorAll('.question-block');
-        let correctCount = 0;
+    updateAttemptsDisplay() {
+        const container = document.getElementById('quizContainer');
+        if (!container || !this.hasQuiz) return;
         
-        questions.forEach((question, index) => {
-            const correctAnswer = question.getAttribute('data-correct');
-            const selectedAnswer = this.selectedAnswers[index];
-            
-            if (selectedAnswer) {
-                const selectedOption = question.querySelector(`[data-answer="${selectedAnswer}"]`);
-                if (selectedAnswer === correctAnswer) {
-                    selectedOption.classList.add('correct');
-                    correctCount++;
-                } else {
-                    selectedOption.classList.add('incorrect');
-                }
-            }
-            
-            const correctOption = question.querySelector(`[data-answer="${correctAnswer}"]`);
-            if (correctOption && !correctOption.classList.contains('correct')) {
-                correctOption.classList.add('correct');
-            }
-        });
+        const status = this.getAttemptStatus();
+        const resetBtn = document.getElementById('quizResetBtn');
         
-        const feedback = document.getElementById('quizFeedback');
-        const scorePercentage = Math.round((correctCount / questions.length) * 100);
-        const passed = scorePercentage >= this.quizConfig.passingScore;
+        if (resetBtn) {
+            resetBtn.disabled = !status.canRetry;
+        }
         
-        if (passed) {
-            this.quizState = 'passed';
-            this.requirements.quizPassed = true;
-            this.setQuizState('completed');
-            this.notifyCompletion();
+        if (!status.max && status.used === 0) return;
+        
+        let display = document.getElementById('quizAttempts');
+        if (!display) {
+            display = document.createElement('div');
+            display.id = 'quizAttempts';
+            display.className = 'quiz-attempts';
             
-            if (feedback) {
-                feedback.className = 'quiz-feedback success show';
-                if (scorePercentage === 100) {
-                    feedback.textContent = `🎉 Perfect! All ${correctCount} answers correct.`;
-                } else {
-                    feedback.textContent = `🎉 Great job! You scored ${scorePercentage}% (${correctCount}/${questions.length} correct).`;
-                }
+            const questions = document.getElementById('quizQuestions');
+            if (questions) {
+                questions.parentNode.insertBefore(display, questions);
+            } else {
+                container.appendChild(display);
             }
+        }
+        
+        display.innerHTML = '';
+        
+        const summary = document.createElement('div');
+        summary.className = 'quiz-attempts-summary';
+        summary.textContent = status.max
+            ? `Attempts used: ${status.used} of ${status.max}`
+            : `Attempts: ${status.used}`;
+        display.appendChild(summary);
+        
+        if (!status.canRetry && this.quizState !== 'passed') {
+            const notice = document.createElement('div');
+            notice.className = 'quiz-attempts-notice';
+            notice.textContent = this.getAttemptBlockedMessage(status);
+            display.appendChild(notice);
+        }
+        
+        if (this.attemptHistory.length > 0) {
+            const history = document.createElement('ol');
+            history.className = 'attempt-history';
             
-            if (this.quizConfig.showCelebration) {
-                this.showCelebration(scorePercentage);
-            }
-        } else {
-            this.quizState = 'failed';
-            this.requirements.quizPassed = false;
-            this.setQuizState('review');
-            this.notifyReset();
+            this.attemptHistory.forEach(attempt => {
+                const item = document.createElement('li');
+                item.className = attempt.passed ? 'attempt-passed' : 'attempt-failed';
+                const duration = attempt.durationMs !== null ? ` in ${this.formatDuration(attempt.durationMs)}` : '';
+                item.textContent = `${attempt.score}% (${attempt.correct}/${attempt.total})${duration} - ${new Date(attempt.timestamp).toLocaleString()}`;
+                history.appendChild(item);
+            });
             
-            if (feedback) {
-                feedback.className = 'quiz-feedback error show';
-                feedback.textContent = `You scored ${scorePercentage}% (${correctCount}/${questions.length} correct). You need ${this.quizConfig.passingScore}% to pass. Try again!`;
-            }
+            display.appendChild(history);
         }
         
-        this.updateProgressDisplay();
-        this.saveProgress();
-        
-        this.log('Quiz checked:', { correctCount, total: questions.length, scorePercentage, passed });
+        // Keep the cooldown countdown ticking until retries are allowed again
+        clearTimeout(this.cooldownTimer);
+        if (status.cooldownRemaining > 0 && status.remaining !== 0) {
+            this.cooldownTimer = setTimeout(() => this.updateAttemptsDisplay(), 1000);
+        }
+    }
+    
+    formatDuration(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
     }
     
     /**
-     * Reset quiz
+     * Reset quiz; force skips the attempt limit (host-commanded resets)
+     * and grants the attempt needed to submit the fresh quiz
      */
-    resetQuiz() {
-        document.querySelectorAll('.answer-option').forEach(option => {
+    resetQuiz(options = {}) {
+        const attemptStatus = this.getAttemptStatus();
+        if (!attemptStatus.canRetry) {
+            if (!options.force) {
+                this.updateAttemptsDisplay();
+                this.log('Quiz reset blocked:', attemptStatus);
+                return;
+            }
+            this.retryGranted = true;
+        }
+        
+        if (this.usesQuestionBank()) {
+            this.quizDraw = this.createQuizDraw();
+            this.renderQuizDraw();
+            this.bindQuizEvents();
+        }
+        
+        document.querySelectorAll('.question-block').forEach(question => {
+            question.classList.remove('question-correct', 'question-incorrect');
+            question.querySelectorAll('.correct-answer-reveal').forEach(reveal => reveal.remove());
+            question.querySelectorAll('.question-explanation, .option-feedback').forEach(explanation => {
+                explanation.classList.remove('show');
+            });
+            
+            const list = question.querySelector('.ordering-list');
+            if (list) {
+                Array.from(list.children)
+                    .sort((a, b) => a.getAttribute('data-answer').localeCompare(b.getAttribute('data-answer')))
+                    .forEach(item => list.appendChild(item));
+            }
+        });
+        
+        document.querySelectorAll('.answer-option, .ordering-item').forEach(option => {
             option.classList.remove('selected', 'correct', 'incorrect');
         });
         
+        document.querySelectorAll('.answer-input, .answer-select').forEach(input => {
+            input.classList.remove('correct', 'incorrect');
+            input.value = '';
+        });
+        
         const feedback = document.getElementById('quizFeedback');
         if (feedback) feedback.classList.remove('show');
         
         const completionSection = document.getElementById('completionSection');
         if (completionSection) completionSection.classList.remove('show');
         
+        this.stopQuizTimer();
         this.selectedAnswers = {};
-        this.requirements.quizPassed = false;
-        this.quizState = 'not-started';
-        this.setQuizState('active');
+        this.attemptStartedAt = null;
+        if (this.quizState !== 'not-started') {
+            this.transitionQuiz('not-started');
+        }
+        this.renderQuizState();
         
         this.updateProgressDisplay();
+        this.updateAttemptsDisplay();
+        this.checkLessonCompletion();
         this.saveProgress();
         this.notifyReset();
+        this.emit('quizReset', { forced: !!options.force, attemptsUsed: this.attemptHistory.length });
         
         this.log('Quiz reset');
     }
     
     // Utility methods
     
+    /**
+     * Answer host commands and start the handshake with the host page
+     */
+    setupHostMessaging() {
+        if (!this.messenger) return;
+        
+        this.messenger.on('host_query_state', () => ({ state: this.getAnalytics() }));
+        this.messenger.on('host_reset', () => {
+            this.resetQuiz({ force: true });
+            return { state: this.getAnalytics() };
+        });
+        
+        this.messenger.connect(['query_state', 'reset', 'resize']).then(connected => {
+            this.log(connected ? 'Host acknowledged handshake' : 'Host did not acknowledge handshake');
+        });
+        
+        this.setupResizeReporting();
+    }
+    
+    /**
+     * Report the document height so the host can size the iframe to fit
+     */
+    setupResizeReporting() {
+        if (window.parent === window) return;
+        
+        let lastHeight = 0;
+        let frame = null;
+        const report = () => {
+            frame = null;
+            // documentElement.scrollHeight never drops below the frame's height,
+            // so measure the body or the host could never shrink the frame
+            const style = getComputedStyle(document.body);
+            const height = Math.ceil(document.body.getBoundingClientRect().height
+                + parseFloat(style.marginTop) + parseFloat(style.marginBottom));
+            if (height !== lastHeight) {
+                lastHeight = height;
+                this.postToParent('lesson_resize', { height });
+            }
+        };
+        const scheduleReport = () => {
+            if (!frame) frame = requestAnimationFrame(report);
+        };
+        
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(scheduleReport);
+            this.resizeObserver.observe(document.body);
+        } else {
+            this.listen(window, 'resize', scheduleReport);
+        }
+        this.listen(window, 'load', scheduleReport);
+        this.teardown.push(() => cancelAnimationFrame(frame));
+        scheduleReport();
+    }
+    
+    /**
+     * Send a message to the host page, through the messenger when loaded
+     */
+    postToParent(type, fields = {}, options = {}) {
+        if (window.parent === window) return;
+        
+        if (this.messenger) {
+            this.messenger.send(type, fields, options);
+            return;
+        }
+        
+        window.parent.postMessage({
+            type,
+            lesson: this.lessonId,
+            timestamp: new Date().toISOString(),
+            ...fields
+        }, '*');
+    }
+    
     getLessonId() {
         const urlParams = new URLSearchParams(window.location.search);
         const paramLessonId = urlParams.get('lesson_id');
@@ -401,19 +1430,21 @@ class LessonManager {
     declareLessonRequirements() {
         if (window.parent !== window) {
             // Determine if completion is required
-            // No quiz = no completion requirement
-            // Has quiz but already passed = already completed
-            const requiresCompletion = this.hasQuiz;
-            const alreadyCompleted = this.hasQuiz && this.requirements.quizPassed;
-            
-            window.parent.postMessage({
-                type: 'lesson_requirements',
-                lesson: this.lessonId,
+            // No required requirements = no completion requirement
+            // All required requirements met = already completed
+            const requiresCompletion = this.requiresCompletion();
+            const alreadyCompleted = requiresCompletion && this.isLessonComplete();
+            const requirements = {};
+            this.getRequirementStatuses().forEach(({ id, type, required, status }) => {
+                requirements[id] = { type, required, status };
+            });
+            
+            this.postToParent('lesson_requirements', {
                 requires_completion: requiresCompletion,
                 already_completed: alreadyCompleted,
                 has_quiz: this.hasQuiz,
-                requirements: { quiz: this.hasQuiz, content: true }
-            }, '*');
+                requirements
+            }, { requiresAck: true });
             
             this.log('Declared lesson requirements to parent', {
                 has_quiz: this.hasQuiz,
@@ -423,23 +1454,124 @@ class LessonManager {
         }
     }
     
-    loadProgress() {
+    /**
+     * Read the saved progress record, upgraded to the current schema
+     */
+    readSavedProgress() {
+        let saved;
+        try {
+            saved = this.storage.getItem(`lesson_${this.lessonId}_progress`);
+            return saved ? this.migrateProgress(JSON.parse(saved)) : null;
+        } catch (error) {
+            console.error('Error reading progress:', error);
+            return this.discardProgress(saved, 'unreadable record');
+        }
+    }
+    
+    /**
+     * Run a saved record through the migrations up to the current schema
+     * version, then drop quiz results recorded against different quiz content
+     */
+    migrateProgress(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return this.discardProgress(record, 'not an object');
+        }
+        
+        const currentVersion = LessonManager.PROGRESS_SCHEMA_VERSION;
+        let version = record.schemaVersion || 1;
+        
+        if (version > currentVersion) {
+            return this.discardProgress(record, `schema version ${version} is newer than ${currentVersion}`);
+        }
+        
+        while (version < currentVersion) {
+            const migrate = LessonManager.progressMigrations[version];
+            if (!migrate) {
+                return this.discardProgress(record, `no migration from schema version ${version}`);
+            }
+            record = migrate(record);
+            version = record.schemaVersion;
+            this.log('Migrated progress to schema version', version);
+        }
+        
+        if (!record.requirements || typeof record.requirements !== 'object') {
+            return this.discardProgress(record, 'missing requirements');
+        }
+        
+        record.requirements.contentProgress = Math.min(100, Math.max(0, Number(record.requirements.contentProgress) || 0));
+        record.requirements.quizPassed = record.requirements.quizPassed === true;
+        
+        // quizPassed and quizState must agree for the state machine to resume correctly
+        if (record.requirements.quizPassed) {
+            record.quizState = 'passed';
+        } else if (!LessonManager.QUIZ_STATES.includes(record.quizState) || record.quizState === 'passed') {
+            record.quizState = 'not-started';
+        }
+        
+        if (record.quizHash && this.quizHash && record.quizHash !== this.quizHash) {
+            this.log('Quiz content changed since progress was saved - clearing quiz results');
+            record = {
+                ...record,
+                requirements: { ...record.requirements, quizPassed: false },
+                quizState: 'not-started',
+                selectedAnswers: {},
+                quizDraw: null,
+                attemptHistory: [],
+                attemptStartedAt: null,
+                retryGranted: false,
+                quizHash: this.quizHash
+            };
+        }
+        
+        return record;
+    }
+    
+    /**
+     * Set an unusable record aside (so it can be recovered by hand) and
+     * continue as if nothing was saved
+     */
+    discardProgress(record, reason) {
+        console.warn(`[LessonManager] Discarding saved progress (${reason})`);
+        
+        try {
+            this.storage.setItem(`lesson_${this.lessonId}_progress_discarded`, JSON.stringify({
+                reason,
+                record,
+                timestamp: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.error('Error backing up discarded progress:', error);
+        }
+        
+        return null;
+    }
+    
+    loadProgress(progress = this.readSavedProgress()) {
         try {
-            const saved = localStorage.getItem(`lesson_${this.lessonId}_progress`);
-            if (saved) {
-                const progress = JSON.parse(saved);
+            if (progress) {
                 this.requirements = { ...this.requirements, ...progress.requirements };
                 this.quizState = progress.quizState || 'not-started';
                 
                 this.highestScrollProgress = progress.highestScrollProgress || this.requirements.contentProgress || 0;
-                this.requirements.contentProgress = this.highestScrollProgress;
+                this.sectionReading = progress.sectionReading || {};
                 
-                this.updateProgressDisplay();
+                this.attemptHistory = Array.isArray(progress.attemptHistory) ? progress.attemptHistory : [];
+                this.attemptStartedAt = progress.attemptStartedAt || null;
+                this.retryGranted = progress.retryGranted === true;
+                this.completedAt = progress.completedAt || null;
+                
+                if (this.requirementsEngine) {
+                    this.requirementsEngine.restore(progress.requirementState);
+                }
+                this.selectedAnswers = progress.selectedAnswers || {};
                 
-                if (this.requirements.quizPassed) {
-                    this.setQuizState('completed');
+                if (this.hasQuiz) {
+                    this.restoreQuizState();
                 }
                 
+                this.updateProgressDisplay();
+                this.updateAttemptsDisplay();
+                
                 this.log('Progress loaded:', this.requirements, 'Quiz passed:', this.requirements.quizPassed);
             }
         } catch (error) {
@@ -450,26 +1582,45 @@ class LessonManager {
     saveProgress() {
         try {
             const progress = {
+                schemaVersion: LessonManager.PROGRESS_SCHEMA_VERSION,
+                quizHash: this.quizHash,
                 requirements: this.requirements,
                 quizState: this.quizState,
                 highestScrollProgress: this.highestScrollProgress,
+                sectionReading: this.sectionReading,
                 timestamp: new Date().toISOString(),
-                selectedAnswers: this.selectedAnswers
+                selectedAnswers: this.selectedAnswers,
+                quizDraw: this.quizDraw,
+                attemptHistory: this.attemptHistory,
+                attemptStartedAt: this.attemptStartedAt,
+                retryGranted: this.retryGranted,
+                completedAt: this.completedAt,
+                requirementState: this.requirementsEngine ? this.requirementsEngine.getState() : {}
             };
-            localStorage.setItem(`lesson_${this.lessonId}_progress`, JSON.stringify(progress));
+            this.storage.setItem(`lesson_${this.lessonId}_progress`, JSON.stringify(progress));
             this.log('Progress saved');
         } catch (error) {
             console.error('Error saving progress:', error);
         }
     }
     
-    setQuizState(state) {
+    /**
+     * Show the quiz as answerable (not-started, in-progress), in review
+     * (failed) or completed (passed)
+     */
+    renderQuizState() {
         const container = document.getElementById('quizContainer');
         const resetBtn = document.getElementById('quizResetBtn');
         const reviewInstructions = document.getElementById('reviewInstructions');
+        const state = LessonManager.QUIZ_VIEWS[this.quizState];
         
         if (!container) return;
         
+        const locked = state !== 'active';
+        container.querySelectorAll('.answer-input, .answer-select, .order-move').forEach(control => {
+            control.disabled = locked;
+        });
+        
         switch (state) {
             case 'active':
                 container.classList.remove('review-mode');
@@ -490,29 +1641,41 @@ class LessonManager {
                 break;
         }
         
-        this.log('Quiz state changed to:', state);
+        this.log('Quiz state rendered:', this.quizState);
     }
     
-    notifyCompletion() {
+    /**
+     * Report the passing attempt to the host; completion is 'first' or
+     * 'replay' for a fresh pass and 'restored' when re-announced on reload
+     */
+    notifyCompletion(completion = 'restored') {
         if (window.parent !== window) {
-            window.parent.postMessage({
-                type: 'lesson_complete',
-                lesson: this.lessonId,
-                score: 100,
-                timestamp: new Date().toISOString()
-            }, '*');
+            const attempt = this.getLastPassedAttempt();
+            
+            this.postToParent('lesson_complete', {
+                score: attempt ? attempt.score : null,
+                correct: attempt ? attempt.correct : null,
+                total: attempt ? attempt.total : null,
+                passing_score: this.quizConfig.passingScore,
+                attempt: attempt ? attempt.attempt : null,
+                time_spent_ms: attempt ? attempt.durationMs : null,
+                session_time_ms: Date.now() - this.sessionStartedAt,
+                completion,
+                first_completion: completion === 'first',
+                completed_at: this.completedAt
+            }, { requiresAck: true });
             
             this.log('Sent completion message to parent');
         }
     }
     
+    getLastPassedAttempt() {
+        return this.attemptHistory.slice().reverse().find(entry => entry.passed) || null;
+    }
+    
     notifyReset() {
         if (window.parent !== window) {
-            window.parent.postMessage({
-                type: 'lesson_reset',
-                lesson: this.lessonId,
-                timestamp: new Date().toISOString()
-            }, '*');
+            this.postToParent('lesson_reset', {}, { requiresAck: true });
             
             this.log('Sent reset message to parent');
         }
@@ -524,7 +1687,12 @@ class LessonManager {
         }
     }
     
+    /**
+     * Celebrate a pass; a registered 'celebrate' hook replaces the built-in overlay
+     */
     showCelebration(score = 100) {
+        if (this.runHooks('celebrate', score)) return;
+        
         let overlay = document.getElementById('celebrationOverlay');
         if (!overlay) {
             overlay = document.createElement('div');
@@ -570,17 +1738,103 @@ class LessonManager {
         this.log('Celebration shown for score:', score + '%');
     }
     
+    /**
+     * Stop all tracking, timers and host messaging so another lesson can
+     * take over the page; the rendered lesson is left in place
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        
+        this.stopQuizTimer();
+        clearTimeout(this.cooldownTimer);
+        clearTimeout(this.scrollTimeout);
+        clearInterval(this.sectionTimer);
+        
+        if (this.sectionObserver) this.sectionObserver.disconnect();
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        if (this.requirementsEngine) this.requirementsEngine.destroy();
+        if (this.messenger && this.ownsMessenger) this.messenger.destroy();
+        
+        this.teardown.forEach(undo => undo());
+        this.teardown = [];
+        this.hooks = {};
+        
+        this.log('Lesson manager destroyed');
+    }
+    
     getAnalytics() {
         return {
             lessonId: this.lessonId,
             contentProgress: this.requirements.contentProgress,
             highestScrollProgress: this.highestScrollProgress,
+            sectionReading: this.sectionReading,
             quizPassed: this.requirements.quizPassed,
             quizState: this.quizState,
             quizConfig: this.quizConfig,
+            quizDraw: this.quizDraw,
+            attempts: this.getAttemptStatus(),
+            attemptHistory: this.attemptHistory,
+            requirements: this.getRequirementStatuses(),
+            lessonComplete: this.isLessonComplete(),
             timestamp: new Date().toISOString()
         };
     }
 }
 
+// Bump when the saved progress shape changes and add a migration from the previous version
+LessonManager.PROGRESS_SCHEMA_VERSION = 5;
+
+// Quiz state machine: state -> states it may move to. Grading straight from
+// not-started is allowed (submitting without answering); every state can be reset.
+// Events on window: lessonProgressUpdated, quizStateChanged, quizStarted,
+// answerSelected, quizGraded, quizReset and lessonCompleted, each with lessonId
+// in the detail (subscribe to a single lesson with lessonManager.on)
+LessonManager.QUIZ_TRANSITIONS = {
+    'not-started': ['in-progress', 'passed', 'failed'],
+    'in-progress': ['passed', 'failed', 'not-started'],
+    'failed': ['not-started'],
+    'passed': ['not-started']
+};
+
+LessonManager.QUIZ_STATES = Object.keys(LessonManager.QUIZ_TRANSITIONS);
+
+// Hooks other modules can register with addHook instead of overriding methods:
+//   celebrate(score) - show the pass celebration in place of the built-in overlay
+LessonManager.HOOKS = ['celebrate'];
+
+// How each quiz state is shown by renderQuizState
+LessonManager.QUIZ_VIEWS = {
+    'not-started': 'active',
+    'in-progress': 'active',
+    'failed': 'review',
+    'passed': 'completed'
+};
+
+// progressMigrations[n] upgrades a version n record to version n + 1
+LessonManager.progressMigrations = {
+    // v1: unversioned records; there is no quiz hash to compare against yet
+    1: (record) => ({
+        ...record,
+        schemaVersion: 2,
+        quizHash: null,
+        selectedAnswers: record.selectedAnswers || {},
+        attemptHistory: Array.isArray(record.attemptHistory) ? record.attemptHistory : []
+    }),
+    // v2: no completedAt; use the first passing attempt, else when the record was saved
+    2: (record) => {
+        const passed = !!(record.requirements && record.requirements.quizPassed);
+        const firstPass = (record.attemptHistory || []).find(attempt => attempt.passed);
+        return {
+            ...record,
+            schemaVersion: 3,
+            completedAt: passed ? (firstPass ? firstPass.timestamp : record.timestamp || null) : null
+        };
+    },
+    // v3: requirements beyond reading and quiz had nowhere to keep their progress
+    3: (record) => ({ ...record, schemaVersion: 4, requirementState: {} }),
+    // v4: reading progress was a scroll high-water mark only; it is kept as the starting point
+    4: (record) => ({ ...record, schemaVersion: 5, sectionReading: {} })
+};
+
 window.LessonManager = LessonManager;
\ No newline at end of file
@@ -0,0 +1,294 @@
+/**
+ * Markdown for Thinkific Lessons
+ * Markdown in lesson text fields, and whole lessons written in Markdown
+ * Version 1.0
+ *
+ * Load before lesson-builder.js. With `"markdown": true` in a JSON lesson
+ * (or LessonBuilder's markdown option), text, items and description
+ * fields of paragraph, technique-card, drill-steps and conversation
+ * blocks accept **bold**, *italics*, `code`, [links](https://...) and
+ * - / 1. lists next to the inline HTML they already allowed.
+ *
+ * A whole lesson can be one Markdown file; LessonBuilder accepts the
+ * string (or a .md contentUrl) and converts it with parseLesson():
+ *
+ *     ---
+ *     title: Active Listening
+ *     videoSrc: https://your-cdn/video.mp4
+ *     ---
+ *
+ *     ## Why it matters            -> header (level from the #s)
+ *     Plain paragraphs             -> paragraph
+ *     - bullet lists               -> technique-card items
+ *     1. numbered lists            -> numbered-list
+ *     > quoted text                -> example-box
+ *
+ *     ```json                      -> content block(s) as JSON, for drill-steps,
+ *     { "type": "drill-steps", ... }  conversation, pdf-viewer and the like
+ *     ```
+ *
+ *     ```quiz                      -> the lesson quiz (JSON question list)
+ *     [{ "question": "...", "options": ["...", "..."], "correct": "a" }]
+ *     ```
+ *
+ * Without a title in the front-matter, a leading # heading becomes the
+ * lesson title. Output is HTML (with `markdown: false`, so it is not
+ * converted again), sanitized like any author HTML; fields inside
+ * ```json blocks are HTML too.
+ */
+
+class LessonMarkdown {
+    /**
+     * Convert inline Markdown; HTML tags in the text are left untouched
+     */
+    static inline(text) {
+        if (text === null || text === undefined) return '';
+        
+        const kept = [];
+        const keep = html => `\u0000${kept.push(html) - 1}\u0000`;
+        
+        const html = String(text)
+            // Backslash escapes become entities so a second pass leaves them alone
+            .replace(/\\([\\`*_[\]()#>+.!-])/g, (match, character) => `&#${character.charCodeAt(0)};`)
+            .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${LessonMarkdown.escape(code)}</code>`))
+            .replace(/<[^>]+>/g, tag => keep(tag))
+            .replace(/\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) => {
+                const titleAttribute = title ? ` title="${LessonMarkdown.escape(title)}"` : '';
+                return `${keep(`<a href="${LessonMarkdown.escape(url)}"${titleAttribute}>`)}${label}${keep('</a>')}`;
+            })
+            .replace(/\*\*(?!\s)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|\W)__(?!\s)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?![\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+            .replace(/(^|\W)_(?![\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>');
+        
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => kept[index]);
+    }
+    
+    /**
+     * Convert a multi-line field: inline Markdown plus - and 1. lists.
+     * With `paragraphs`, the text between lists and blank lines is wrapped
+     * in <p> so the result can fill a block container
+     */
+    static block(text, { paragraphs = false } = {}) {
+        if (text === null || text === undefined) return '';
+        
+        const output = [];
+        let list = null;
+        let lines = [];
+        
+        const closeList = () => {
+            if (!list) return;
+            const items = list.items.map(item => `<li>${LessonMarkdown.inline(item)}</li>`).join('');
+            output.push(`<${list.tag}>${items}</${list.tag}>`);
+            list = null;
+        };
+        const closeParagraph = () => {
+            if (lines.length && lines.some(line => line.trim())) {
+                const html = lines.map(line => LessonMarkdown.inline(line)).join('\n').trim();
+                output.push(paragraphs ? `<p>${html}</p>` : html);
+            }
+            lines = [];
+        };
+        
+        String(text).split(/\r?\n/).forEach(line => {
+            const item = LessonMarkdown.matchListItem(line);
+            
+            if (item) {
+                closeParagraph();
+                if (!list || list.tag !== item.tag) {
+                    closeList();
+                    list = { tag: item.tag, items: [] };
+                }
+                list.items.push(item.text);
+            } else if (list && /^\s{2,}\S/.test(line)) {
+                list.items[list.items.length - 1] += ` ${line.trim()}`; // wrapped list item
+            } else {
+                closeList();
+                if (paragraphs && !line.trim()) {
+                    closeParagraph();
+                } else {
+                    lines.push(line);
+                }
+            }
+        });
+        closeList();
+        closeParagraph();
+        
+        return output.join('\n').trim();
+    }
+    
+    static matchListItem(line) {
+        const match = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+        return match ? { tag: match[1] ? 'ul' : 'ol', text: match[2] } : null;
+    }
+    
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    /**
+     * Convert a Markdown lesson into LessonBuilder content
+     */
+    static parseLesson(source) {
+        const { data, body, bodyLine } = LessonMarkdown.parseFrontMatter(String(source));
+        const lesson = { ...data, markdown: false, content: [] }; // already converted
+        
+        LessonMarkdown.splitBlocks(body, bodyLine).forEach(block => {
+            switch (block.kind) {
+                case 'heading':
+                    if (!lesson.title && block.level === 1 && lesson.content.length === 0) {
+                        lesson.title = block.text;
+                    } else {
+                        lesson.content.push({ type: 'header', level: block.level, text: LessonMarkdown.inline(block.text) });
+                    }
+                    break;
+                case 'list':
+                    lesson.content.push(block.tag === 'ol'
+                        ? { type: 'numbered-list', items: block.items.map(item => LessonMarkdown.inline(item)) }
+                        : { type: 'technique-card', items: block.items.map(item => LessonMarkdown.inline(item)) });
+                    break;
+                case 'quote':
+                    lesson.content.push({ type: 'example-box', text: LessonMarkdown.block(block.text) });
+                    break;
+                case 'fence':
+                    LessonMarkdown.addFence(lesson, block);
+                    break;
+                default:
+                    lesson.content.push({ type: 'paragraph', text: LessonMarkdown.block(block.text) });
+            }
+        });
+        
+        return lesson;
+    }
+    
+    static addFence(lesson, block) {
+        const language = block.info.split(/\s+/)[0].toLowerCase();
+        
+        if (language === 'json' || language === 'quiz') {
+            let value;
+            try {
+                value = JSON.parse(block.text);
+            } catch (error) {
+                throw new Error(`Invalid JSON in the \`\`\`${language} block at line ${block.line}: ${error.message}`);
+            }
+            
+            if (language === 'quiz') {
+                lesson.quiz = [...(lesson.quiz || []), ...[].concat(value)];
+            } else {
+                lesson.content.push(...[].concat(value));
+            }
+        } else if (language === 'html') {
+            lesson.content.push({ type: 'custom-html', html: block.text });
+        } else {
+            lesson.content.push({ type: 'custom-html', html: `<pre><code>${LessonMarkdown.escape(block.text)}</code></pre>` });
+        }
+    }
+    
+    /**
+     * Split `key: value` front-matter from the body. Values may be quoted;
+     * true, false and numbers are converted
+     */
+    static parseFrontMatter(source) {
+        const match = source.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+        if (!match) return { data: {}, body: source, bodyLine: 1 };
+        
+        const data = {};
+        match[1].split(/\r?\n/).forEach(line => {
+            const entry = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+            if (!entry || line.trim().startsWith('#')) return;
+            
+            const [, key, raw] = entry;
+            const quoted = raw.match(/^(["'])([\s\S]*)\1$/);
+            
+            if (quoted) {
+                data[key] = quoted[2];
+            } else if (raw === 'true' || raw === 'false') {
+                data[key] = raw === 'true';
+            } else if (raw !== '' && !isNaN(Number(raw))) {
+                data[key] = Number(raw);
+            } else {
+                data[key] = raw;
+            }
+        });
+        
+        return {
+            data,
+            body: source.slice(match[0].length),
+            bodyLine: match[0].split('\n').length
+        };
+    }
+    
+    /**
+     * Group body lines into headings, lists, quotes, fences and paragraphs
+     */
+    static splitBlocks(body, firstLine = 1) {
+        const lines = body.split(/\r?\n/);
+        const blocks = [];
+        let current = null;
+        
+        const close = () => {
+            if (current) blocks.push(current);
+            current = null;
+        };
+        
+        for (let index = 0; index < lines.length; index++) {
+            const line = lines[index];
+            const fence = line.match(/^\s*(```+|~~~+)\s*(.*)$/);
+            
+            if (fence) {
+                close();
+                const start = index;
+                const text = [];
+                while (++index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+                    text.push(lines[index]);
+                }
+                blocks.push({ kind: 'fence', info: fence[2], text: text.join('\n'), line: firstLine + start });
+                continue;
+            }
+            
+            if (!line.trim()) {
+                close();
+                continue;
+            }
+            
+            const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+            const item = LessonMarkdown.matchListItem(line);
+            const quote = line.match(/^\s*>\s?(.*)$/);
+            
+            if (heading) {
+                close();
+                blocks.push({ kind: 'heading', level: heading[1].length, text: heading[2] });
+            } else if (item) {
+                if (!current || current.kind !== 'list' || current.tag !== item.tag) {
+                    close();
+                    current = { kind: 'list', tag: item.tag, items: [] };
+                }
+                current.items.push(item.text);
+            } else if (current && current.kind === 'list' && /^\s{2,}\S/.test(line)) {
+                current.items[current.items.length - 1] += ` ${line.trim()}`;
+            } else if (quote) {
+                if (!current || current.kind !== 'quote') {
+                    close();
+                    current = { kind: 'quote', text: quote[1] };
+                } else {
+                    current.text += `\n${quote[1]}`;
+                }
+            } else if (current && current.kind === 'paragraph') {
+                current.text += `\n${line}`;
+            } else {
+                close();
+                current = { kind: 'paragraph', text: line };
+            }
+        }
+        close();
+        
+        return blocks;
+    }
+}
+
+// Export for use in other modules
+window.LessonMarkdown = LessonMarkdown;
\ No newline at end of file
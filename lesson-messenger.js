@@ -0,0 +1,262 @@
+/**
+ * Lesson Messenger for Thinkific Lessons
+ * Versioned postMessage protocol between a lesson iframe and its host page
+ * Version 1.0
+ *
+ * Configure before the lesson scripts load:
+ *
+ *     window.lessonMessagingConfig = { allowedOrigins: ['https://yourschool.thinkific.com'] };
+ *
+ * Without allowedOrigins the origin of document.referrer is trusted; if that
+ * is unknown too, messages go to '*' (the previous behaviour) and a warning
+ * is logged. The wildcard is only ever a send target: host commands and
+ * acknowledgements are ignored until a real origin is known.
+ *
+ * Every message carries an envelope next to its own fields, so hosts that
+ * only read `type` and `lesson` keep working:
+ *   { protocol: 'thinkific-lesson', version: 1, id, type, lesson, timestamp, ... }
+ *
+ * Handshake:
+ *   lesson -> host  { type: 'lesson_ready', capabilities }
+ *   host -> lesson  { type: 'host_ack', ack: <id of lesson_ready> }
+ * Until the host acknowledges, messages are posted once to each allowed
+ * origin. After the handshake they go only to the host's origin, and
+ * messages sent with requiresAck are re-sent (retryInterval, maxRetries)
+ * until the host answers with { type: 'host_ack', ack: <id> }. Hosts that
+ * never complete the handshake see each message once, as before.
+ *
+ * Lesson -> host: lesson_ready, lesson_requirements, lesson_complete,
+ * lesson_reset, lesson_state, lesson_error
+ *
+ * Host -> lesson commands (answered with replyTo set to the command id):
+ *   { type: 'host_query_state' }  -> lesson_state { state }
+ *   { type: 'host_reset' }        -> lesson_state { state }
+ * Unknown or failed commands are answered with lesson_error { error }.
+ */
+
+class LessonMessenger {
+    constructor(options = {}) {
+        this.options = {
+            allowedOrigins: [],
+            lessonId: null,
+            retryInterval: 1000,
+            maxRetries: 3,
+            debug: false,
+            ...window.lessonMessagingConfig,
+            ...options
+        };
+        
+        this.allowedOrigins = this.resolveAllowedOrigins();
+        this.hostOrigin = null;
+        this.connected = false;
+        this.messageCount = 0;
+        this.pendingAcks = {};
+        this.handlers = {};
+        
+        this.handleMessage = this.handleMessage.bind(this);
+        window.addEventListener('message', this.handleMessage);
+    }
+    
+    /**
+     * Configured origins, else the referring page's origin
+     */
+    resolveAllowedOrigins() {
+        if (this.options.allowedOrigins.length > 0) {
+            return this.options.allowedOrigins;
+        }
+        
+        try {
+            if (document.referrer) {
+                return [new URL(document.referrer).origin];
+            }
+        } catch (error) {
+            // Fall through to the wildcard
+        }
+        
+        console.warn('[LessonMessenger] No allowed parent origins configured - posting to any origin and ignoring host commands');
+        return ['*'];
+    }
+    
+    isEmbedded() {
+        return window.parent !== window;
+    }
+    
+    /**
+     * Whether a host message may be handled; '*' never matches, so with
+     * no known parent origin every inbound message is dropped
+     */
+    isAllowedOrigin(origin) {
+        return origin !== '*' && this.allowedOrigins.includes(origin);
+    }
+    
+    /**
+     * Register the handler for a host command; its return value (or the
+     * value its Promise resolves to) is sent back as the reply
+     */
+    on(type, handler) {
+        this.handlers[type] = handler;
+    }
+    
+    /**
+     * Start the handshake; resolves once the host acknowledges, or with
+     * false when it never does (hosts that predate the protocol)
+     */
+    connect(capabilities = []) {
+        if (!this.isEmbedded()) return Promise.resolve(false);
+        
+        return new Promise(resolve => {
+            this.send('lesson_ready', { capabilities }, {
+                requiresAck: true,
+                retryBeforeConnect: true,
+                onAck: () => resolve(true),
+                onGiveUp: () => resolve(false)
+            });
+        });
+    }
+    
+    /**
+     * Post a protocol message to the host and return its id
+     */
+    send(type, fields = {}, options = {}) {
+        if (!this.isEmbedded()) return null;
+        
+        const message = {
+            protocol: LessonMessenger.PROTOCOL,
+            version: LessonMessenger.VERSION,
+            id: this.createMessageId(),
+            type,
+            lesson: this.options.lessonId,
+            timestamp: new Date().toISOString(),
+            ...fields
+        };
+        
+        if (options.requiresAck) {
+            message.requiresAck = true;
+            this.pendingAcks[message.id] = {
+                message,
+                retries: 0,
+                retryBeforeConnect: options.retryBeforeConnect || false,
+                onAck: options.onAck || null,
+                onGiveUp: options.onGiveUp || null,
+                timer: null
+            };
+            this.scheduleRetry(message.id);
+        }
+        
+        this.post(message);
+        this.log('Sent', type, message.id);
+        return message.id;
+    }
+    
+    post(message) {
+        const origins = this.hostOrigin ? [this.hostOrigin] : this.allowedOrigins;
+        origins.forEach(origin => window.parent.postMessage(message, origin));
+    }
+    
+    scheduleRetry(id) {
+        const pending = this.pendingAcks[id];
+        
+        pending.timer = setTimeout(() => {
+            if (!this.connected && !pending.retryBeforeConnect) {
+                // Legacy host - it will never acknowledge, so don't repeat ourselves
+                delete this.pendingAcks[id];
+                return;
+            }
+            
+            if (pending.retries >= this.options.maxRetries) {
+                delete this.pendingAcks[id];
+                this.log('No acknowledgement for', pending.message.type, id);
+                if (pending.onGiveUp) pending.onGiveUp();
+                return;
+            }
+            
+            pending.retries++;
+            this.post(pending.message);
+            this.log('Retrying', pending.message.type, id, `(${pending.retries}/${this.options.maxRetries})`);
+            this.scheduleRetry(id);
+        }, this.options.retryInterval);
+    }
+    
+    handleMessage(event) {
+        const data = event.data;
+        if (event.source !== window.parent || !data || data.protocol !== LessonMessenger.PROTOCOL) return;
+        
+        if (!this.isAllowedOrigin(event.origin)) {
+            this.log('Ignored message from', event.origin);
+            return;
+        }
+        
+        if (data.version > LessonMessenger.VERSION) {
+            this.log('Host speaks a newer protocol version:', data.version);
+        }
+        
+        if (data.type === 'host_ack') {
+            this.handleAck(data, event.origin);
+            return;
+        }
+        
+        this.handleCommand(data);
+    }
+    
+    handleAck(data, origin) {
+        const pending = this.pendingAcks[data.ack];
+        if (!pending) return;
+        
+        clearTimeout(pending.timer);
+        delete this.pendingAcks[data.ack];
+        
+        if (pending.message.type === 'lesson_ready' && !this.connected) {
+            this.connected = true;
+            this.hostOrigin = origin === 'null' ? null : origin;
+            this.log('Connected to host', origin);
+        }
+        
+        if (pending.onAck) pending.onAck(data);
+    }
+    
+    handleCommand(data) {
+        const handler = this.handlers[data.type];
+        
+        if (!handler) {
+            this.send('lesson_error', { replyTo: data.id, error: `Unknown command: ${data.type}` });
+            return;
+        }
+        
+        Promise.resolve()
+            .then(() => handler(data))
+            .then(reply => {
+                const { type = 'lesson_state', ...fields } = reply || {};
+                this.send(type, { replyTo: data.id, ...fields });
+            })
+            .catch(error => {
+                console.error(`[LessonMessenger] Error handling ${data.type}:`, error);
+                this.send('lesson_error', { replyTo: data.id, error: error.message });
+            });
+    }
+    
+    createMessageId() {
+        this.messageCount++;
+        return `${this.options.lessonId || 'lesson'}-${Date.now().toString(36)}-${this.messageCount}`;
+    }
+    
+    /**
+     * Stop listening and drop any pending retries
+     */
+    destroy() {
+        window.removeEventListener('message', this.handleMessage);
+        Object.values(this.pendingAcks).forEach(pending => clearTimeout(pending.timer));
+        this.pendingAcks = {};
+    }
+    
+    log(...args) {
+        if (this.options.debug) {
+            console.log('[LessonMessenger]', ...args);
+        }
+    }
+}
+
+LessonMessenger.PROTOCOL = 'thinkific-lesson';
+LessonMessenger.VERSION = 1;
+
+// Export for use in other modules
+window.LessonMessenger = LessonMessenger;
\ No newline at end of file
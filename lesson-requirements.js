@@ -0,0 +1,556 @@
+/**
+ * Lesson Requirements for Thinkific Lessons
+ * Declarative completion requirements evaluated by LessonManager
+ * Version 1.0
+ *
+ * Declare requirements next to lessonQuiz (or pass options.requirements
+ * to LessonManager):
+ *
+ *     var lessonRequirements = [
+ *         { type: 'reading', threshold: 90, required: false },
+ *         { type: 'quiz' },
+ *         { type: 'video', threshold: 80 },
+ *         { type: 'pdf', action: 'download' },
+ *         { type: 'time', minSeconds: 180 },
+ *         { type: 'sections', sections: ['#warmup', '#drills'] },
+ *         { type: 'checklist', items: ['I practised the drill twice'] }
+ *     ];
+ *
+ * Without a declaration the lesson keeps the reading + quiz pair, with
+ * reading (and video, when the lesson has one) shown but not required.
+ * The lesson is complete once every requirement with required !== false
+ * is complete.
+ *
+ * Every requirement accepts id (defaults to its type), label,
+ * completeLabel, icon and required. Custom types can be added with
+ * LessonRequirements.registerType(name, RequirementClass).
+ */
+
+/**
+ * Base class for requirement types. Subclasses implement evaluate() and
+ * may keep persisted progress in this.state, calling this.changed()
+ * whenever it moves
+ */
+class Requirement {
+    constructor(engine, definition) {
+        this.engine = engine;
+        this.manager = engine.manager;
+        this.definition = definition;
+        this.id = definition.id;
+        this.state = {};
+    }
+    
+    /**
+     * Bind listeners and render any UI; called once progress is restored
+     */
+    setup() {}
+    
+    /**
+     * Return { status, label } where status is incomplete, in-progress,
+     * complete or failed, optionally with progress (0-100)
+     */
+    evaluate() {
+        return { status: 'incomplete', label: this.definition.label };
+    }
+    
+    restore(state) {
+        this.state = { ...this.state, ...state };
+    }
+    
+    changed() {
+        this.engine.changed(this);
+    }
+    
+    result(status, progressLabel = null) {
+        return {
+            status,
+            label: status === 'complete'
+                ? this.definition.completeLabel
+                : progressLabel || this.definition.label
+        };
+    }
+    
+    destroy() {}
+}
+
+class ReadingRequirement extends Requirement {
+    evaluate() {
+        const progress = this.manager.requirements.contentProgress;
+        return {
+            ...this.result(progress >= this.definition.threshold ? 'complete' : 'incomplete'),
+            progress: Math.round(progress)
+        };
+    }
+}
+
+class QuizRequirement extends Requirement {
+    evaluate() {
+        switch (this.manager.quizState) {
+            case 'in-progress': {
+                const remaining = this.manager.getQuizTimeRemaining();
+                return this.result('in-progress', remaining !== null
+                    ? `Quiz In Progress (${this.manager.formatDuration(remaining * 1000)} left)`
+                    : 'Quiz In Progress');
+            }
+            case 'failed':
+                return this.result('failed', 'Quiz Failed - Try Again');
+            case 'passed':
+                return this.result('complete');
+            default:
+                return this.result('incomplete');
+        }
+    }
+}
+
+/**
+ * Share of the lesson video actually played. Played stretches are kept
+ * as merged [start, end] ranges, so seeking ahead adds nothing and
+ * rewatching a part is only counted once
+ */
+class VideoRequirement extends Requirement {
+    setup() {
+        this.video = this.findVideo();
+        if (!this.video) {
+            this.manager.log(`Video requirement "${this.id}" found no video element`);
+            return;
+        }
+        
+        this.lastTime = null;
+        this.handlers = {
+            timeupdate: () => this.recordPlayback(),
+            seeking: () => { this.lastTime = null; },
+            ended: () => {
+                this.recordPlayback(this.video.duration);
+                this.changed();
+            },
+            pause: () => this.changed(),
+            loadedmetadata: () => {
+                this.state.duration = this.video.duration;
+            }
+        };
+        
+        Object.entries(this.handlers).forEach(([event, handler]) => {
+            this.video.addEventListener(event, handler);
+        });
+    }
+    
+    /**
+     * The video holding LessonBuilder's #videoSource unless a selector is given
+     */
+    findVideo() {
+        if (this.definition.selector) {
+            return document.querySelector(this.definition.selector);
+        }
+        
+        const source = document.getElementById('videoSource');
+        return (source && source.closest('video')) || document.querySelector('video');
+    }
+    
+    recordPlayback(currentTime = this.video.currentTime) {
+        const previous = this.lastTime;
+        this.lastTime = currentTime;
+        
+        if (previous === null || this.video.seeking) return;
+        
+        // timeupdate fires every ~250ms while playing; a bigger jump is a seek
+        const elapsed = currentTime - previous;
+        if (elapsed <= 0 || elapsed > VideoRequirement.MAX_PLAYBACK_STEP * (this.video.playbackRate || 1)) return;
+        
+        const before = this.getPercentWatched();
+        this.addRange(previous, currentTime);
+        
+        // Only persist when the whole-percent figure moves
+        if (this.getPercentWatched() > before) {
+            this.changed();
+        }
+    }
+    
+    addRange(start, end) {
+        const ranges = [...(this.state.ranges || []), [start, end]]
+            .sort((a, b) => a[0] - b[0]);
+        
+        const merged = [];
+        ranges.forEach(([rangeStart, rangeEnd]) => {
+            const last = merged[merged.length - 1];
+            if (last && rangeStart <= last[1] + VideoRequirement.MERGE_GAP) {
+                last[1] = Math.max(last[1], rangeEnd);
+            } else {
+                merged.push([rangeStart, rangeEnd]);
+            }
+        });
+        
+        this.state.ranges = merged.map(([rangeStart, rangeEnd]) => [
+            Math.round(rangeStart * 10) / 10,
+            Math.round(rangeEnd * 10) / 10
+        ]);
+        this.state.duration = this.getDuration();
+    }
+    
+    getDuration() {
+        const duration = this.video && this.video.duration;
+        return duration && isFinite(duration) ? duration : this.state.duration || 0;
+    }
+    
+    getSecondsWatched() {
+        return (this.state.ranges || []).reduce((total, [start, end]) => total + (end - start), 0);
+    }
+    
+    getPercentWatched() {
+        const duration = this.getDuration();
+        if (!duration) return 0;
+        return Math.min(100, Math.floor((this.getSecondsWatched() / duration) * 100));
+    }
+    
+    evaluate() {
+        const percent = this.getPercentWatched();
+        const result = percent >= this.definition.threshold
+            ? this.result('complete')
+            : percent > 0
+                ? this.result('in-progress', `Video ${percent}% Watched`)
+                : this.result('incomplete');
+        
+        return { ...result, progress: percent };
+    }
+    
+    destroy() {
+        if (this.video && this.handlers) {
+            Object.entries(this.handlers).forEach(([event, handler]) => {
+                this.video.removeEventListener(event, handler);
+            });
+        }
+    }
+}
+
+VideoRequirement.MAX_PLAYBACK_STEP = 1.5; // seconds between timeupdate events
+VideoRequirement.MERGE_GAP = 0.5; // seconds; closes rounding gaps between ranges
+
+/**
+ * PDF opened in the viewer or downloaded (PDFViewer's pdfOpened and
+ * pdfDownloaded events); a download also counts as opening
+ */
+class PdfRequirement extends Requirement {
+    constructor(engine, definition) {
+        const downloading = definition.action === 'download';
+        super(engine, {
+            ...definition,
+            label: definition.label || (downloading ? 'Download the PDF' : 'Open the PDF'),
+            completeLabel: definition.completeLabel || (downloading ? 'PDF Downloaded' : 'PDF Opened')
+        });
+    }
+    
+    setup() {
+        this.handlePdfEvent = (event) => {
+            const { filename } = event.detail || {};
+            if (this.definition.filename && filename !== this.definition.filename) return;
+            if (this.definition.action === 'download' && event.type !== 'pdfDownloaded') return;
+            
+            if (!this.state.done) {
+                this.state.done = true;
+                this.changed();
+            }
+        };
+        window.addEventListener('pdfOpened', this.handlePdfEvent);
+        window.addEventListener('pdfDownloaded', this.handlePdfEvent);
+    }
+    
+    evaluate() {
+        return this.result(this.state.done ? 'complete' : 'incomplete');
+    }
+    
+    destroy() {
+        window.removeEventListener('pdfOpened', this.handlePdfEvent);
+        window.removeEventListener('pdfDownloaded', this.handlePdfEvent);
+    }
+}
+
+/**
+ * Time spent on the page while it is visible, kept across visits
+ */
+class TimeRequirement extends Requirement {
+    setup() {
+        if ((this.state.seconds || 0) >= this.definition.minSeconds) return;
+        
+        this.timer = setInterval(() => {
+            if (document.visibilityState === 'hidden') return;
+            
+            const seconds = (this.state.seconds || 0) + 1;
+            this.state.seconds = seconds;
+            
+            // Saving every second would flood remote storage backends
+            if (seconds % 5 === 0 || seconds === this.definition.minSeconds) {
+                this.changed();
+            }
+            if (seconds >= this.definition.minSeconds) {
+                clearInterval(this.timer);
+            }
+        }, 1000);
+    }
+    
+    evaluate() {
+        const remaining = this.definition.minSeconds - (this.state.seconds || 0);
+        if (remaining <= 0) return this.result('complete');
+        return this.result(this.state.seconds ? 'in-progress' : 'incomplete',
+            `${this.definition.label} (${this.manager.formatDuration(remaining * 1000)} left)`);
+    }
+    
+    destroy() {
+        clearInterval(this.timer);
+    }
+}
+
+/**
+ * Specific sections (CSS selectors) read. Uses LessonManager's section
+ * tracking (on screen for the minimum dwell time) when it is running,
+ * otherwise a section counts once it has been scrolled into view
+ */
+class SectionsRequirement extends Requirement {
+    setup() {
+        this.state.viewed = this.state.viewed || [];
+        this.eventName = this.manager.sectionObserver ? 'lessonSectionRead' : 'scroll';
+        
+        this.checkSections = () => {
+            const newlyViewed = this.definition.sections.filter(selector => {
+                if (this.state.viewed.includes(selector)) return false;
+                
+                const element = document.querySelector(selector);
+                return element ? this.isViewed(element) : false;
+            });
+            
+            if (newlyViewed.length > 0) {
+                this.state.viewed = [...this.state.viewed, ...newlyViewed];
+                this.changed();
+            }
+        };
+        
+        window.addEventListener(this.eventName, this.checkSections, { passive: true });
+        this.initialCheck = setTimeout(this.checkSections, 100);
+    }
+    
+    isViewed(element) {
+        if (this.manager.sectionObserver) {
+            return this.manager.isSectionRead(element);
+        }
+        
+        const rect = element.getBoundingClientRect();
+        return rect.top < window.innerHeight && rect.bottom > 0;
+    }
+    
+    evaluate() {
+        const viewed = (this.state.viewed || []).length;
+        const total = this.definition.sections.length;
+        if (viewed >= total) return this.result('complete');
+        return this.result(viewed > 0 ? 'in-progress' : 'incomplete', `${this.definition.label} (${viewed}/${total})`);
+    }
+    
+    destroy() {
+        clearTimeout(this.initialCheck);
+        window.removeEventListener(this.eventName, this.checkSections);
+    }
+}
+
+/**
+ * Custom checklist items the learner ticks off, rendered at the end of
+ * the lesson content (or inside definition.container)
+ */
+class ChecklistRequirement extends Requirement {
+    setup() {
+        this.state.checked = this.state.checked || [];
+        
+        const container = document.querySelector(this.definition.container) || document.getElementById('contentSection');
+        if (!container) return;
+        
+        this.element = document.createElement('div');
+        this.element.className = 'requirement-checklist';
+        this.element.setAttribute('data-requirement-id', this.id);
+        
+        const title = document.createElement('p');
+        title.className = 'requirement-checklist-title';
+        title.textContent = this.definition.title;
+        this.element.appendChild(title);
+        
+        this.getItems().forEach(item => {
+            const label = document.createElement('label');
+            label.className = 'requirement-checklist-item';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = item.id;
+            checkbox.checked = this.state.checked.includes(item.id);
+            checkbox.addEventListener('change', () => this.toggle(item.id, checkbox.checked));
+            
+            const text = document.createElement('span');
+            text.textContent = item.text;
+            
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            this.element.appendChild(label);
+        });
+        
+        container.appendChild(this.element);
+    }
+    
+    /**
+     * Items may be plain strings or { id, text }
+     */
+    getItems() {
+        return this.definition.items.map((item, index) => typeof item === 'string'
+            ? { id: String(index), text: item }
+            : { id: String(item.id !== undefined ? item.id : index), text: item.text });
+    }
+    
+    toggle(itemId, checked) {
+        const others = this.state.checked.filter(id => id !== itemId);
+        this.state.checked = checked ? [...others, itemId] : others;
+        this.changed();
+    }
+    
+    evaluate() {
+        const checked = (this.state.checked || []).length;
+        const total = this.definition.items.length;
+        if (checked >= total) return this.result('complete');
+        return this.result(checked > 0 ? 'in-progress' : 'incomplete', `${this.definition.label} (${checked}/${total})`);
+    }
+    
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
+
+class LessonRequirements {
+    constructor(manager, definitions = null) {
+        this.manager = manager;
+        this.items = this.normalize(definitions || this.getDefaultDefinitions())
+            .map(definition => new LessonRequirements.types[definition.type](this, definition));
+        this.isSetup = false;
+    }
+    
+    /**
+     * The reading + quiz pair lessons had before requirements were
+     * configurable, plus video progress (shown, not required) when the
+     * lesson has a video
+     */
+    getDefaultDefinitions() {
+        const definitions = [{ type: 'reading', required: false }];
+        const source = document.getElementById('videoSource');
+        if (source && source.getAttribute('src')) {
+            definitions.push({ type: 'video', required: false });
+        }
+        if (this.manager.hasQuiz) {
+            definitions.push({ type: 'quiz' });
+        }
+        return definitions;
+    }
+    
+    normalize(definitions) {
+        const usedIds = {};
+        
+        return definitions
+            .filter(definition => {
+                if (!LessonRequirements.types[definition.type]) {
+                    console.warn(`[LessonRequirements] Unknown requirement type: ${definition.type}`);
+                    return false;
+                }
+                // A quiz requirement without questions could never be met
+                return definition.type !== 'quiz' || this.manager.hasQuiz;
+            })
+            .map(definition => {
+                const baseId = definition.id || definition.type;
+                usedIds[baseId] = (usedIds[baseId] || 0) + 1;
+                const id = usedIds[baseId] > 1 ? `${baseId}${usedIds[baseId]}` : baseId;
+                
+                return {
+                    ...LessonRequirements.defaults[definition.type],
+                    required: true,
+                    ...definition,
+                    id
+                };
+            });
+    }
+    
+    setup() {
+        if (this.isSetup) return;
+        this.isSetup = true;
+        this.items.forEach(item => item.setup());
+    }
+    
+    changed(item) {
+        this.manager.log('Requirement updated:', item.id, item.evaluate().status);
+        this.manager.handleRequirementsChanged();
+    }
+    
+    /**
+     * Current status of every requirement, in declaration order
+     */
+    getStatuses() {
+        return this.items.map(item => ({
+            id: item.id,
+            type: item.definition.type,
+            icon: item.definition.icon,
+            required: item.definition.required !== false,
+            ...item.evaluate()
+        }));
+    }
+    
+    hasRequired() {
+        return this.items.some(item => item.definition.required !== false);
+    }
+    
+    isComplete() {
+        return this.getStatuses().every(status => !status.required || status.status === 'complete');
+    }
+    
+    /**
+     * Persisted progress of each requirement, keyed by id
+     */
+    getState() {
+        const state = {};
+        this.items.forEach(item => {
+            if (Object.keys(item.state).length > 0) state[item.id] = item.state;
+        });
+        return state;
+    }
+    
+    restore(state = {}) {
+        this.items.forEach(item => {
+            if (state[item.id]) item.restore(state[item.id]);
+        });
+    }
+    
+    destroy() {
+        this.items.forEach(item => item.destroy());
+    }
+    
+    /**
+     * Add a requirement type: RequirementClass extends Requirement
+     */
+    static registerType(name, RequirementClass, defaults = {}) {
+        LessonRequirements.types[name] = RequirementClass;
+        LessonRequirements.defaults[name] = defaults;
+    }
+}
+
+LessonRequirements.types = {
+    'reading': ReadingRequirement,
+    'quiz': QuizRequirement,
+    'video': VideoRequirement,
+    'pdf': PdfRequirement,
+    'time': TimeRequirement,
+    'sections': SectionsRequirement,
+    'checklist': ChecklistRequirement
+};
+
+LessonRequirements.defaults = {
+    'reading': { threshold: 90, icon: 'feather-book-open', label: 'Reading Incomplete', completeLabel: 'Reading Complete' },
+    'quiz': { icon: 'feather-edit-3', label: 'Quiz Not Started', completeLabel: 'Quiz Passed' },
+    'video': { selector: null, threshold: 80, icon: 'feather-play-circle', label: 'Video Not Watched', completeLabel: 'Video Watched' },
+    'pdf': { action: 'open', filename: null, icon: 'feather-file-text' },
+    'time': { minSeconds: 60, icon: 'feather-clock', label: 'Time on Lesson', completeLabel: 'Time Requirement Met' },
+    'sections': { sections: [], icon: 'feather-layers', label: 'Sections Viewed', completeLabel: 'All Sections Viewed' },
+    'checklist': { items: [], container: null, title: 'Before you continue', icon: 'feather-check-square', label: 'Checklist', completeLabel: 'Checklist Complete' }
+};
+
+// Export for use in other modules
+window.Requirement = Requirement;
+window.LessonRequirements = LessonRequirements;
\ No newline at end of file
@@ -0,0 +1,167 @@
+/**
+ * HTML Sanitizer for Thinkific Lessons
+ * Allow-list cleaning of author HTML before it reaches the page
+ * Version 1.0
+ *
+ * Load before lesson-builder.js and the UI components. LessonBuilder runs
+ * every author string through LessonSanitizer.sanitize(); components that
+ * build markup from template strings escape option values with
+ * LessonSanitizer.escape() and LessonSanitizer.safeUrl().
+ *
+ * Anything not on the allow-list is removed: script-like elements with
+ * their content, other unknown elements are unwrapped to their text.
+ * Attributes are limited per tag, event handlers and inline styles are
+ * dropped, and links and images only keep http(s), mailto, tel and
+ * relative URLs. Extend the allow-list with LessonSanitizer.allow().
+ */
+
+class LessonSanitizer {
+    /**
+     * Clean an HTML string; returns markup that is safe to assign to innerHTML
+     */
+    static sanitize(html) {
+        if (html === null || html === undefined) return '';
+        
+        const template = document.createElement('template');
+        template.innerHTML = String(html);
+        LessonSanitizer.cleanChildren(template.content);
+        
+        return template.innerHTML;
+    }
+    
+    static cleanChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove(); // comments, processing instructions
+                return;
+            }
+            
+            const tag = node.tagName.toLowerCase();
+            
+            if (LessonSanitizer.DROP_TAGS.includes(tag)) {
+                node.remove();
+                return;
+            }
+            
+            LessonSanitizer.cleanChildren(node);
+            
+            if (!LessonSanitizer.TAGS[tag]) {
+                node.replaceWith(...Array.from(node.childNodes));
+                return;
+            }
+            
+            LessonSanitizer.cleanAttributes(node, tag);
+        });
+    }
+    
+    static cleanAttributes(element, tag) {
+        const allowed = [...LessonSanitizer.GLOBAL_ATTRIBUTES, ...LessonSanitizer.TAGS[tag]];
+        
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            
+            if (!allowed.includes(name)) {
+                element.removeAttribute(attribute.name);
+            } else if (LessonSanitizer.URL_ATTRIBUTES.includes(name) && !LessonSanitizer.safeUrl(attribute.value)) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+        
+        // Links that open a new tab must not get access to this window
+        if (tag === 'a' && element.getAttribute('target') === '_blank') {
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+    
+    /**
+     * The URL when its scheme is allowed, otherwise an empty string
+     */
+    static safeUrl(url) {
+        const value = String(url || '').trim();
+        // Browsers ignore control characters and whitespace inside the scheme
+        const scheme = value.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        
+        if (!scheme) return value; // relative URL or fragment
+        return LessonSanitizer.URL_SCHEMES.includes(scheme[1].toLowerCase()) ? value : '';
+    }
+    
+    /**
+     * Escape text for use inside markup or a quoted attribute
+     */
+    static escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Allow another tag, optionally with tag-specific attributes
+     */
+    static allow(tag, attributes = []) {
+        const name = tag.toLowerCase();
+        LessonSanitizer.TAGS[name] = [...(LessonSanitizer.TAGS[name] || []), ...attributes];
+        LessonSanitizer.DROP_TAGS = LessonSanitizer.DROP_TAGS.filter(dropped => dropped !== name);
+    }
+}
+
+// Allowed tags and the attributes each may keep besides GLOBAL_ATTRIBUTES
+LessonSanitizer.TAGS = {
+    'a': ['href', 'target', 'rel'],
+    'abbr': [],
+    'b': [],
+    'blockquote': ['cite'],
+    'br': [],
+    'caption': [],
+    'cite': [],
+    'code': [],
+    'dd': [],
+    'del': [],
+    'div': [],
+    'dl': [],
+    'dt': [],
+    'em': [],
+    'figcaption': [],
+    'figure': [],
+    'h1': [], 'h2': [], 'h3': [], 'h4': [], 'h5': [], 'h6': [],
+    'hr': [],
+    'i': [],
+    'img': ['src', 'alt', 'width', 'height', 'loading'],
+    'kbd': [],
+    'li': [],
+    'mark': [],
+    'ol': ['start', 'type'],
+    'p': [],
+    'pre': [],
+    'q': ['cite'],
+    's': [],
+    'small': [],
+    'span': [],
+    'strong': [],
+    'sub': [],
+    'sup': [],
+    'table': [],
+    'tbody': [],
+    'td': ['colspan', 'rowspan'],
+    'tfoot': [],
+    'th': ['colspan', 'rowspan', 'scope'],
+    'thead': [],
+    'tr': [],
+    'u': [],
+    'ul': []
+};
+
+LessonSanitizer.GLOBAL_ATTRIBUTES = ['class', 'title', 'lang', 'dir'];
+
+// Removed together with their content
+LessonSanitizer.DROP_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'select', 'svg', 'math', 'form', 'link', 'meta', 'base'];
+
+LessonSanitizer.URL_ATTRIBUTES = ['href', 'src', 'cite'];
+LessonSanitizer.URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Export for use in other modules
+window.LessonSanitizer = LessonSanitizer;
\ No newline at end of file
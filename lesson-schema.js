@@ -0,0 +1,273 @@
+/**
+ * Lesson Content Schema for Thinkific Lessons
+ * JSON Schema for lesson content and quiz definitions, and the validator
+ * behind LessonBuilder.validate() and validate-lessons.js
+ * Version 1.0
+ *
+ * LessonSchema.lesson and LessonSchema.quiz are JSON Schema (draft-07)
+ * documents; JSON.stringify one to point an editor at it. Blocks and
+ * questions are a oneOf keyed by their `type` (the OpenAPI-style
+ * `discriminator` keyword), so a typo reports against the right block
+ * instead of every alternative.
+ *
+ * LessonSchema.validate(value, schema, path) supports the keywords used
+ * here: type, const, enum, required, properties, additionalProperties,
+ * items, minItems, minLength, pattern (worded by patternDescription),
+ * minimum, maximum and discriminated oneOf. Unknown properties are
+ * warnings, not errors - renderers ignore them, but they are usually
+ * misspelt fields.
+ */
+
+class LessonSchema {
+    /**
+     * Check a value against a schema; returns { errors, warnings } as
+     * lists of { path, message } with paths like content[3].items[0]
+     */
+    static validate(value, schema, path = '') {
+        const report = { errors: [], warnings: [] };
+        LessonSchema.check(value, schema, path, report);
+        return report;
+    }
+    
+    static check(value, schema, path, report) {
+        const error = (message, at = path) => report.errors.push({ path: at, message });
+        
+        if (schema.type && !LessonSchema.isType(value, schema.type)) {
+            error(`must be ${LessonSchema.describeType(schema.type)}`);
+            return;
+        }
+        
+        if ('const' in schema && value !== schema.const) {
+            error(`must be ${JSON.stringify(schema.const)}`);
+        }
+        
+        if (schema.enum && !schema.enum.includes(value)) {
+            error(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        
+        if (typeof value === 'string') {
+            if (schema.minLength && value.trim().length < schema.minLength) error('must not be empty');
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) error(`"${value}" is not ${schema.patternDescription || `in the form ${schema.pattern}`}`);
+        }
+        
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) error(`must be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) error(`must be at most ${schema.maximum}`);
+        }
+        
+        if (Array.isArray(value)) {
+            if (schema.minItems && value.length < schema.minItems) {
+                error(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => LessonSchema.check(item, schema.items, `${path}[${index}]`, report));
+            }
+        }
+        
+        if (LessonSchema.isType(value, 'object')) {
+            LessonSchema.checkObject(value, schema, path, report);
+        }
+        
+        if (schema.oneOf) {
+            LessonSchema.checkOneOf(value, schema, path, report);
+        }
+    }
+    
+    static checkObject(value, schema, path, report) {
+        const properties = schema.properties || {};
+        const join = key => path ? `${path}.${key}` : key;
+        
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                report.errors.push({ path: join(key), message: 'is required' });
+            }
+        });
+        
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                if (value[key] !== undefined && value[key] !== null) {
+                    LessonSchema.check(value[key], properties[key], join(key), report);
+                }
+            } else if (schema.additionalProperties === false) {
+                report.warnings.push({ path: join(key), message: 'is not a known property and will be ignored' });
+            }
+        });
+    }
+    
+    /**
+     * Validate against the alternative named by the discriminator property;
+     * values with an unknown discriminator are left to the caller
+     */
+    static checkOneOf(value, schema, path, report) {
+        const discriminator = schema.discriminator;
+        if (!discriminator || !LessonSchema.isType(value, 'object')) return;
+        
+        const name = value[discriminator.propertyName] === undefined
+            ? discriminator.default
+            : value[discriminator.propertyName];
+        const match = schema.oneOf.find(option => option.properties[discriminator.propertyName].const === name);
+        
+        if (match) {
+            LessonSchema.check(value, match, path, report);
+        }
+    }
+    
+    static isType(value, type) {
+        if (Array.isArray(type)) return type.some(option => LessonSchema.isType(value, option));
+        
+        switch (type) {
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+    
+    static describeType(type) {
+        const names = { array: 'a list', object: 'an object', integer: 'a whole number', number: 'a number', string: 'text', boolean: 'true or false', null: 'null' };
+        return [].concat(type).map(option => names[option] || option).join(' or ');
+    }
+}
+
+/**
+ * Field schemas shared by blocks and questions
+ */
+LessonSchema.fields = {
+    id: { type: ['string', 'integer'] },
+    text: { type: 'string' },
+    html: { type: 'string', description: 'Text with inline HTML (sanitized before rendering)' },
+    letter: { type: 'string', pattern: '^[a-z]$', patternDescription: 'an option letter (a, b, c, ...)' },
+    options: { type: 'array', items: { type: 'string' }, minItems: 2 },
+    feedback: { type: 'object', description: 'Per-option feedback keyed by answer value (a, b, true, ...)' }
+};
+
+/**
+ * Schema for a content block of the given type
+ */
+LessonSchema.block = (type, properties = {}, required = []) => ({
+    type: 'object',
+    properties: { type: { const: type }, id: LessonSchema.fields.id, ...properties },
+    required: ['type', ...required],
+    additionalProperties: false
+});
+
+/**
+ * Schema for a quiz question of the given type
+ */
+LessonSchema.question = (type, properties = {}, required = []) => ({
+    type: 'object',
+    properties: {
+        type: { const: type },
+        id: LessonSchema.fields.id,
+        question: { type: 'string', minLength: 1 },
+        explanation: LessonSchema.fields.text,
+        ...properties
+    },
+    required: ['question', ...required],
+    additionalProperties: false
+});
+
+LessonSchema.quiz = (({ text, letter, options, feedback }) => ({
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Lesson quiz',
+    type: 'array',
+    items: {
+        type: 'object',
+        discriminator: { propertyName: 'type', default: 'single' },
+        oneOf: [
+            LessonSchema.question('single', { options, correct: letter, feedback }, ['options', 'correct']),
+            LessonSchema.question('multi-select', {
+                options,
+                correct: { ...letter, type: ['string', 'array'], items: letter },
+                feedback
+            }, ['options', 'correct']),
+            LessonSchema.question('true-false', { correct: { enum: [true, false, 'true', 'false'] }, feedback }, ['correct']),
+            LessonSchema.question('short-answer', {
+                correct: text,
+                accepted: { type: 'array', items: text, minItems: 1 },
+                caseSensitive: { type: 'boolean' },
+                placeholder: text
+            }),
+            LessonSchema.question('numeric', {
+                correct: { type: ['number', 'string'] },
+                tolerance: { type: 'number', minimum: 0 },
+                placeholder: text
+            }, ['correct']),
+            LessonSchema.question('ordering', { options, correct: { type: 'array', items: letter, minItems: 2 } }, ['options', 'correct']),
+            LessonSchema.question('matching', {
+                prompts: { type: 'array', items: text, minItems: 1 },
+                options,
+                correct: { type: 'array', items: letter, minItems: 1 }
+            }, ['prompts', 'options', 'correct'])
+        ]
+    }
+}))(LessonSchema.fields);
+
+LessonSchema.lesson = (({ text, html }) => ({
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Lesson content',
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        pageTitle: text,
+        videoSrc: text,
+        markdown: { type: 'boolean', description: 'Convert Markdown in prose fields (default false)' },
+        content: {
+            type: 'array',
+            items: {
+                type: 'object',
+                discriminator: { propertyName: 'type' },
+                oneOf: [
+                    LessonSchema.block('paragraph', { text: html }, ['text']),
+                    LessonSchema.block('header', { text: html, level: { type: 'integer', minimum: 1, maximum: 6 } }, ['text']),
+                    LessonSchema.block('technique-card', { title: html, text: html, items: { type: 'array', items: html }, additional_text: html }),
+                    LessonSchema.block('example-box', { text: html }, ['text']),
+                    LessonSchema.block('numbered-list', { items: { type: 'array', items: html, minItems: 1 } }, ['items']),
+                    LessonSchema.block('drill-steps', {
+                        steps: {
+                            type: 'array',
+                            minItems: 1,
+                            items: {
+                                type: 'object',
+                                properties: { title: text, description: html },
+                                required: ['title', 'description'],
+                                additionalProperties: false
+                            }
+                        }
+                    }, ['steps']),
+                    LessonSchema.block('conversation', {
+                        title: text,
+                        exchanges: {
+                            type: 'array',
+                            minItems: 1,
+                            items: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: { speaker: text, text: html },
+                                    required: ['speaker', 'text'],
+                                    additionalProperties: false
+                                }
+                            }
+                        }
+                    }, ['exchanges']),
+                    LessonSchema.block('pdf-viewer', {
+                        title: text,
+                        previewImage: { type: 'string', minLength: 1 },
+                        pdfUrl: { type: 'string', minLength: 1 },
+                        filename: text,
+                        containerId: text
+                    }, ['previewImage', 'pdfUrl']),
+                    LessonSchema.block('custom-html', { html: text }, ['html'])
+                ]
+            }
+        },
+        quiz: LessonSchema.quiz
+    },
+    required: ['title', 'content'],
+    additionalProperties: false
+}))(LessonSchema.fields);
+
+// Export for use in other modules
+window.LessonSchema = LessonSchema;
\ No newline at end of file
@@ -0,0 +1,610 @@
+/**
+ * Lesson Storage for Thinkific Lessons
+ * Pluggable persistence shared by all lesson modules
+ * Version 1.0
+ *
+ * Load this before the other lesson scripts. Pick a backend once, either with
+ * a global set before the scripts load:
+ *
+ *     window.lessonStorageConfig = { backend: 'indexeddb' };
+ *
+ * or by calling LessonStorage.configure({ backend: 'remote', url: '...' })
+ * before any module is created.
+ *
+ * Backends: 'auto' (default: localStorage, then sessionStorage, then memory),
+ * 'local', 'session', 'memory', 'indexeddb', 'remote' and 'parent' (syncs
+ * through the Thinkific page via parent-storage-bridge.js; set parentOrigin
+ * to that page's origin).
+ *
+ * Adapter interface:
+ *   getItem(key)         -> string|null   (synchronous adapters only)
+ *   setItem(key, value)  -> void|Promise
+ *   removeItem(key)      -> void|Promise
+ *   load()               -> Promise<{ key: value }>  (asynchronous adapters only;
+ *                           hydrates the cache so reads stay synchronous)
+ */
+
+class WebStorageAdapter {
+    constructor(storageName) {
+        this.storageName = storageName;
+    }
+    
+    get storage() {
+        return window[this.storageName];
+    }
+    
+    /**
+     * Storage can exist but throw on write (Safari private mode) or on
+     * access (third-party iframes), so probe it
+     */
+    isAvailable() {
+        try {
+            const probe = '__lesson_storage_probe__';
+            this.storage.setItem(probe, probe);
+            this.storage.removeItem(probe);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+    
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+    
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+    
+    getEntries() {
+        const entries = {};
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            entries[key] = this.storage.getItem(key);
+        }
+        return entries;
+    }
+}
+
+class MemoryStorageAdapter {
+    constructor() {
+        this.entries = {};
+    }
+    
+    isAvailable() {
+        return true;
+    }
+    
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.entries, key) ? this.entries[key] : null;
+    }
+    
+    setItem(key, value) {
+        this.entries[key] = value;
+    }
+    
+    removeItem(key) {
+        delete this.entries[key];
+    }
+    
+    getEntries() {
+        return { ...this.entries };
+    }
+}
+
+class IndexedDBStorageAdapter {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'lesson-storage';
+        this.storeName = options.storeName || 'entries';
+        this.dbPromise = null;
+    }
+    
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+    
+    load() {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const entries = {};
+            const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).openCursor();
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    entries[cursor.key] = cursor.value;
+                    cursor.continue();
+                } else {
+                    resolve(entries);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+    
+    setItem(key, value) {
+        return this.write(store => store.put(value, key));
+    }
+    
+    removeItem(key) {
+        return this.write(store => store.delete(key));
+    }
+    
+    write(operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+}
+
+/**
+ * Stores entries on an HTTP endpoint:
+ *   GET    {url}        -> JSON object of all entries
+ *   PUT    {url}/{key}  -> body is the stored string
+ *   DELETE {url}/{key}
+ * mock-storage-server.js implements this for local development.
+ */
+class RemoteStorageAdapter {
+    constructor(options = {}) {
+        this.url = (options.url || '').replace(/\/$/, '');
+        this.headers = options.headers || {};
+        this.credentials = options.credentials || 'same-origin';
+    }
+    
+    isAvailable() {
+        return !!this.url && typeof fetch !== 'undefined';
+    }
+    
+    load() {
+        return fetch(this.url, { headers: this.headers, credentials: this.credentials })
+            .then(response => {
+                if (!response.ok) throw new Error(`Storage load failed: ${response.status}`);
+                return response.json();
+            });
+    }
+    
+    setItem(key, value) {
+        return this.request(key, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'text/plain', ...this.headers },
+            body: value
+        });
+    }
+    
+    removeItem(key) {
+        return this.request(key, { method: 'DELETE', headers: this.headers });
+    }
+    
+    request(key, init) {
+        return fetch(`${this.url}/${encodeURIComponent(key)}`, { credentials: this.credentials, ...init })
+            .then(response => {
+                if (!response.ok) throw new Error(`Storage request failed: ${response.status}`);
+            });
+    }
+}
+
+/**
+ * Persists through the parent page (parent-storage-bridge.js) so progress
+ * follows the learner instead of staying in the CDN origin's storage.
+ * Entries are mirrored locally; when both copies differ they are merged
+ * with resolveConflict (LessonStorage.resolveConflict by default).
+ *
+ * parentOrigin (the Thinkific page's origin) is required: messages are
+ * only posted to and accepted from it. Without it the adapter keeps to
+ * the local mirror. Writes made before the parent answers are queued and
+ * sent once it has.
+ *
+ * Messages sent to the parent:
+ *   { type: 'lesson_storage_load', requestId }
+ *   { type: 'lesson_storage_save', key, value }
+ *   { type: 'lesson_storage_remove', key }
+ * Reply expected for load:
+ *   { type: 'lesson_storage_data', requestId, entries }
+ */
+class ParentFrameStorageAdapter {
+    constructor(options = {}) {
+        this.targetOrigin = options.parentOrigin || null;
+        this.timeout = options.bridgeTimeout || 2000;
+        this.resolveConflict = options.resolveConflict || LessonStorage.resolveConflict;
+        this.local = ['local', 'session']
+            .map(name => LessonStorage.adapters[name]())
+            .find(adapter => adapter.isAvailable()) || new MemoryStorageAdapter();
+        
+        this.connected = false;
+        this.pendingWrites = new Map(); // latest write per key until the parent answers; null once it won't
+        this.pendingRequests = {};
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+    
+    isAvailable() {
+        return window.parent !== window;
+    }
+    
+    /**
+     * Ask the parent for its entries and merge them with the local mirror;
+     * without an answer the local mirror is used on its own
+     */
+    load() {
+        if (!this.targetOrigin) {
+            console.warn('[LessonStorage] No parentOrigin set for the parent backend, using local storage');
+            this.pendingWrites = null;
+            return Promise.resolve(this.local.getEntries());
+        }
+        
+        window.addEventListener('message', this.handleMessage);
+        
+        return this.request('lesson_storage_load')
+            .then(reply => {
+                this.connected = true;
+                return this.merge(this.local.getEntries(), this.flushPendingWrites(reply.entries || {}));
+            })
+            .catch(error => {
+                console.warn('[LessonStorage] Parent storage bridge unavailable, using local storage:', error.message);
+                this.pendingWrites = null;
+                return this.local.getEntries();
+            });
+    }
+    
+    /**
+     * Send the writes queued before the handshake and return the parent's
+     * entries as they are after them
+     */
+    flushPendingWrites(parentEntries) {
+        const entries = { ...parentEntries };
+        
+        this.pendingWrites.forEach(message => {
+            this.post(message);
+            if (message.type === 'lesson_storage_remove') {
+                delete entries[message.key];
+            } else {
+                entries[message.key] = message.value;
+            }
+        });
+        this.pendingWrites = null;
+        
+        return entries;
+    }
+    
+    merge(localEntries, parentEntries) {
+        const merged = {};
+        const keys = new Set([...Object.keys(localEntries), ...Object.keys(parentEntries)]);
+        
+        keys.forEach(key => {
+            const localValue = localEntries[key];
+            const parentValue = parentEntries[key];
+            
+            if (localValue === undefined) {
+                merged[key] = parentValue;
+            } else if (parentValue === undefined || localValue === parentValue) {
+                merged[key] = localValue;
+            } else {
+                merged[key] = this.resolveConflict(key, localValue, parentValue);
+            }
+            
+            if (merged[key] !== localValue) this.local.setItem(key, merged[key]);
+            if (merged[key] !== parentValue) this.post({ type: 'lesson_storage_save', key, value: merged[key] });
+        });
+        
+        return merged;
+    }
+    
+    setItem(key, value) {
+        this.local.setItem(key, value);
+        this.post({ type: 'lesson_storage_save', key, value });
+    }
+    
+    removeItem(key) {
+        this.local.removeItem(key);
+        this.post({ type: 'lesson_storage_remove', key });
+    }
+    
+    post(message) {
+        if (this.connected) {
+            window.parent.postMessage(message, this.targetOrigin);
+        } else if (this.pendingWrites) {
+            this.pendingWrites.set(message.key, message);
+        }
+    }
+    
+    request(type) {
+        const requestId = `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                delete this.pendingRequests[requestId];
+                reject(new Error(`No reply to ${type} within ${this.timeout}ms`));
+            }, this.timeout);
+            
+            this.pendingRequests[requestId] = (reply) => {
+                clearTimeout(timer);
+                resolve(reply);
+            };
+            
+            window.parent.postMessage({ type, requestId }, this.targetOrigin);
+        });
+    }
+    
+    handleMessage(event) {
+        if (event.source !== window.parent || event.origin !== this.targetOrigin || !event.data) return;
+        
+        const callback = this.pendingRequests[event.data.requestId];
+        if (event.data.type === 'lesson_storage_data' && callback) {
+            delete this.pendingRequests[event.data.requestId];
+            callback(event.data);
+        }
+    }
+}
+
+class LessonStorage {
+    constructor(options = {}) {
+        this.options = {
+            backend: 'auto',
+            debug: false,
+            ...options
+        };
+        
+        this.cache = {};
+        this.adapter = this.createAdapter(this.options.backend);
+        this.isReady = !this.adapter.load;
+        this.readyPromise = this.isReady ? Promise.resolve(this) : this.hydrate();
+        
+        this.log('Using backend:', this.backendName);
+    }
+    
+    /**
+     * Create the adapter for a backend name, falling back to memory when
+     * the requested storage is unavailable
+     */
+    createAdapter(backend) {
+        const candidates = backend === 'auto' ? ['local', 'session', 'memory'] : [backend, 'memory'];
+        
+        for (const name of candidates) {
+            const factory = LessonStorage.adapters[name];
+            if (!factory) {
+                console.warn(`[LessonStorage] Unknown backend: ${name}`);
+                continue;
+            }
+            
+            const adapter = factory(this.options);
+            if (!adapter.isAvailable || adapter.isAvailable()) {
+                this.backendName = name;
+                return adapter;
+            }
+            
+            this.log(`Backend "${name}" unavailable`);
+        }
+        
+        this.backendName = 'memory';
+        return new MemoryStorageAdapter();
+    }
+    
+    /**
+     * Load all entries from an asynchronous backend into the cache
+     */
+    hydrate() {
+        return this.adapter.load()
+            .then(entries => {
+                // Writes made while loading are newer than what was stored
+                this.cache = { ...(entries || {}), ...this.cache };
+            })
+            .catch(error => {
+                console.warn('[LessonStorage] Could not load entries, continuing in memory:', error);
+                this.adapter = new MemoryStorageAdapter();
+                this.adapter.entries = { ...this.cache };
+                this.backendName = 'memory';
+            })
+            .then(() => {
+                this.isReady = true;
+                this.log('Storage ready');
+                return this;
+            });
+    }
+    
+    /**
+     * Resolves once stored entries can be read
+     */
+    ready() {
+        return this.readyPromise;
+    }
+    
+    getItem(key) {
+        if (this.adapter.getItem) {
+            try {
+                return this.adapter.getItem(key);
+            } catch (error) {
+                this.fallbackToMemory(error);
+                return this.adapter.getItem(key);
+            }
+        }
+        
+        return Object.prototype.hasOwnProperty.call(this.cache, key) ? this.cache[key] : null;
+    }
+    
+    setItem(key, value) {
+        value = String(value);
+        
+        if (!this.adapter.getItem) {
+            this.cache[key] = value;
+        }
+        
+        this.write(() => this.adapter.setItem(key, value), () => this.adapter.setItem(key, value));
+    }
+    
+    removeItem(key) {
+        delete this.cache[key];
+        this.write(() => this.adapter.removeItem(key), () => this.adapter.removeItem(key));
+    }
+    
+    /**
+     * Run a write; synchronous failures switch to memory and retry there,
+     * asynchronous failures are logged (the cache still holds the value)
+     */
+    write(operation, retry) {
+        try {
+            const result = operation();
+            if (result && typeof result.catch === 'function') {
+                result.catch(error => console.warn('[LessonStorage] Write failed:', error));
+            }
+        } catch (error) {
+            this.fallbackToMemory(error);
+            retry();
+        }
+    }
+    
+    fallbackToMemory(error) {
+        console.warn(`[LessonStorage] ${this.backendName} storage failed, falling back to memory:`, error);
+        this.adapter = new MemoryStorageAdapter();
+        this.backendName = 'memory';
+    }
+    
+    log(...args) {
+        if (this.options.debug) {
+            console.log('[LessonStorage]', ...args);
+        }
+    }
+    
+    /**
+     * Replace the shared instance (call before modules are created)
+     */
+    static configure(options = {}) {
+        window.lessonStorage = new LessonStorage(options);
+        return window.lessonStorage;
+    }
+    
+    /**
+     * The instance every module uses, created from window.lessonStorageConfig
+     */
+    static shared() {
+        if (!window.lessonStorage) {
+            LessonStorage.configure(window.lessonStorageConfig || {});
+        }
+        return window.lessonStorage;
+    }
+    
+    /**
+     * Pick a value when two copies of an entry differ. Lesson progress
+     * records are merged; anything else takes the parent's copy.
+     */
+    static resolveConflict(key, localValue, parentValue) {
+        if (/^lesson_.+_progress$/.test(key)) {
+            return LessonStorage.mergeProgressRecords(localValue, parentValue);
+        }
+        return parentValue;
+    }
+    
+    /**
+     * Merge two lesson_<id>_progress records: the newer record wins, but the
+     * highest scroll progress and any passed quiz are always kept
+     */
+    static mergeProgressRecords(firstValue, secondValue) {
+        let first;
+        let second;
+        try {
+            first = JSON.parse(firstValue);
+        } catch (error) {
+            return secondValue;
+        }
+        try {
+            second = JSON.parse(secondValue);
+        } catch (error) {
+            return firstValue;
+        }
+        
+        const byTime = [first, second].sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+        const older = byTime[0];
+        const newer = byTime[1];
+        const passedRecord = [newer, older].find(record => record.requirements && record.requirements.quizPassed);
+        
+        // Quiz fields come from the passed record so its review state stays consistent
+        const merged = passedRecord && passedRecord !== newer
+            ? { ...newer, ...LessonStorage.pickQuizFields(passedRecord) }
+            : { ...newer };
+        
+        merged.highestScrollProgress = Math.max(first.highestScrollProgress || 0, second.highestScrollProgress || 0);
+        merged.requirements = {
+            ...older.requirements,
+            ...newer.requirements,
+            contentProgress: Math.max(
+                (first.requirements && first.requirements.contentProgress) || 0,
+                (second.requirements && second.requirements.contentProgress) || 0
+            ),
+            quizPassed: !!passedRecord
+        };
+        
+        const completions = [first.completedAt, second.completedAt].filter(Boolean).sort();
+        merged.completedAt = completions[0] || null;
+        merged.requirementState = { ...older.requirementState, ...newer.requirementState };
+        merged.sectionReading = LessonStorage.mergeSectionReading(first.sectionReading, second.sectionReading);
+        
+        const attempts = [...(first.attemptHistory || []), ...(second.attemptHistory || [])];
+        if (attempts.length > 0) {
+            const seen = new Set();
+            merged.attemptHistory = attempts
+                .filter(attempt => !seen.has(attempt.timestamp) && seen.add(attempt.timestamp))
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+                .map((attempt, index) => ({ ...attempt, attempt: index + 1 }));
+        }
+        
+        return JSON.stringify(merged);
+    }
+    
+    /**
+     * A section read on either device stays read; dwell time keeps the larger figure
+     */
+    static mergeSectionReading(first = {}, second = {}) {
+        const merged = { ...first };
+        Object.entries(second || {}).forEach(([id, reading]) => {
+            const other = merged[id];
+            merged[id] = other
+                ? { dwellMs: Math.max(other.dwellMs || 0, reading.dwellMs || 0), read: !!(other.read || reading.read) }
+                : reading;
+        });
+        return merged;
+    }
+    
+    static pickQuizFields(record) {
+        return {
+            quizState: record.quizState,
+            selectedAnswers: record.selectedAnswers,
+            quizDraw: record.quizDraw,
+            attemptStartedAt: record.attemptStartedAt
+        };
+    }
+    
+    /**
+     * Register a custom backend: factory(options) returns an adapter
+     */
+    static registerAdapter(name, factory) {
+        LessonStorage.adapters[name] = factory;
+    }
+}
+
+LessonStorage.adapters = {
+    'local': () => new WebStorageAdapter('localStorage'),
+    'session': () => new WebStorageAdapter('sessionStorage'),
+    'memory': () => new MemoryStorageAdapter(),
+    'indexeddb': (options) => new IndexedDBStorageAdapter(options),
+    'remote': (options) => new RemoteStorageAdapter(options),
+    'parent': (options) => new ParentFrameStorageAdapter(options)
+};
+
+// Export for use in other modules
+window.LessonStorage = LessonStorage;
\ No newline at end of file
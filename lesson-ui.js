@@ -51,6 +51,12 @@ class LessonUI {
         this.progressBar = null;
         this.bottomBar = null;
         this.lessonManager = null;
+        this.lessonManagerSubscriptions = [];
+        this.lessonManagerPoll = null;
+        this.teardown = []; // removes window listeners on destroy()
+        
+        // Without explicit requirements the bar mirrors the lesson's declared ones
+        this.syncRequirements = !options.requirements && !(options.bottomBar && options.bottomBar.requirements);
         
         if (this.options.autoInit) {
             this.init();
@@ -164,7 +170,7 @@ class LessonUI {
         };
         
         // Add scroll listener
-        window.addEventListener('scroll', updateScrollProgress, { passive: true });
+        this.listen(window, 'scroll', updateScrollProgress, { passive: true });
         
         // Initial calculation
         updateScrollProgress();
@@ -177,84 +183,36 @@ class LessonUI {
         // Wait for LessonManager to be available
         const checkForLessonManager = () => {
             if (window.lessonManager) {
-                this.lessonManager = window.lessonManager;
-                this.bindLessonManagerEvents();
-                this.fixLessonManagerScrollTracking();
-            } else {
-                setTimeout(checkForLessonManager, 100);
+                this.attachLessonManager(window.lessonManager);
+            } else if (!this.lessonManager) {
+                this.lessonManagerPoll = setTimeout(checkForLessonManager, 100);
             }
         };
         
         checkForLessonManager();
         
         // Also listen for when LessonManager is created
-        window.addEventListener('lessonManagerReady', (e) => {
-            this.lessonManager = e.detail.lessonManager;
-            this.bindLessonManagerEvents();
-            this.fixLessonManagerScrollTracking();
+        this.listen(window, 'lessonManagerReady', (e) => {
+            this.attachLessonManager(e.detail.lessonManager);
         });
     }
     
     /**
-     * Fix LessonManager's scroll tracking to work with our modular progress bar
+     * Follow a LessonManager through its events; attaching the same
+     * manager twice is a no-op
      */
-    fixLessonManagerScrollTracking() {
-        if (!this.lessonManager) return;
-        
-        // Override LessonManager's updateProgressDisplay to work with our progress bar
-        const originalUpdateProgressDisplay = this.lessonManager.updateProgressDisplay.bind(this.lessonManager);
-        
-        this.lessonManager.updateProgressDisplay = () => {
-            // Update the original progress bar element (if it exists)
-            const originalProgressBar = document.getElementById('progressBar');
-            if (originalProgressBar) {
-                originalProgressBar.style.width = this.lessonManager.requirements.contentProgress + '%';
-            }
-            
-            // Update our modular progress bar
-            if (this.progressBar) {
-                this.progressBar.updateProgress(this.lessonManager.requirements.contentProgress);
-            }
-            
-            // Call original method for other UI updates
-            originalUpdateProgressDisplay();
-            
-            // Update our bottom bar
-            this.updateFromLessonManager();
-        };
+    attachLessonManager(lessonManager) {
+        if (!lessonManager || lessonManager === this.lessonManager) return;
         
-        // Ensure scroll tracking is working
-        this.ensureScrollTracking();
+        this.detachLessonManager();
+        this.lessonManager = lessonManager;
+        this.bindLessonManagerEvents();
     }
     
-    /**
-     * Ensure scroll tracking is properly set up
-     */
-    ensureScrollTracking() {
-        if (!this.lessonManager) return;
-        
-        // Force re-setup of scroll tracking
-        const originalSetupEventListeners = this.lessonManager.setupEventListeners.bind(this.lessonManager);
-        
-        // Add additional scroll listener to ensure it works
-        let scrollTimeout;
-        window.addEventListener('scroll', () => {
-            clearTimeout(scrollTimeout);
-            scrollTimeout = setTimeout(() => {
-                if (!this.lessonManager.hasMedia) {
-                    this.lessonManager.trackContent();
-                    
-                    if (this.options.debug) {
-                        console.log('Manual scroll tracking triggered, progress:', this.lessonManager.requirements.contentProgress + '%');
-                    }
-                }
-            }, 50);
-        }, { passive: true });
-        
-        // Initial content tracking
-        setTimeout(() => {
-            this.lessonManager.trackContent();
-        }, 500);
+    detachLessonManager() {
+        this.lessonManagerSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.lessonManagerSubscriptions = [];
+        this.lessonManager = null;
     }
     
     /**
@@ -263,29 +221,11 @@ class LessonUI {
     bindLessonManagerEvents() {
         if (!this.lessonManager) return;
         
-        // Override LessonManager's updateProgressDisplay method
-        const originalUpdateProgressDisplay = this.lessonManager.updateProgressDisplay.bind(this.lessonManager);
-        
-        this.lessonManager.updateProgressDisplay = () => {
-            // Call original method
-            originalUpdateProgressDisplay();
-            
-            // Update our UI components
-            this.updateFromLessonManager();
-        };
-        
-        // Override trackContent method to ensure our progress bar updates
-        const originalTrackContent = this.lessonManager.trackContent.bind(this.lessonManager);
-        
-        this.lessonManager.trackContent = () => {
-            // Call original method
-            originalTrackContent();
-            
-            // Update our progress bar immediately
-            if (this.progressBar) {
-                this.progressBar.updateProgress(this.lessonManager.requirements.contentProgress);
-            }
-        };
+        // LessonManager announces every progress, requirement and quiz
+        // state change with lessonProgressUpdated, so that is all we follow
+        this.lessonManagerSubscriptions = [
+            this.lessonManager.on('lessonProgressUpdated', () => this.updateFromLessonManager())
+        ];
         
         // Initial update
         this.updateFromLessonManager();
@@ -308,38 +248,29 @@ class LessonUI {
             }
         }
         
-        // Update bottom bar requirements
+        // Update bottom bar requirements from the lesson's declared requirements
         if (this.bottomBar) {
             const updates = {};
+            const current = this.bottomBar.getRequirementStatus();
+            const statuses = this.lessonManager.getRequirementStatuses();
             
-            // Reading/content requirement
-            if (this.lessonManager.requirements.contentProgress >= 90) {
-                updates.reading = {
-                    status: 'complete',
-                    label: this.lessonManager.hasMedia ? 'Media Complete' : 'Reading Complete'
-                };
-            } else {
-                updates.reading = {
-                    status: 'incomplete',
-                    label: this.lessonManager.hasMedia ? 'Media Incomplete' : 'Reading Incomplete'
-                };
+            if (this.syncRequirements) {
+                Object.keys(current)
+                    .filter(id => !statuses.some(requirement => requirement.id === id))
+                    .forEach(id => this.bottomBar.removeRequirement(id));
             }
             
-            // Quiz requirement
-            switch (this.lessonManager.quizState) {
-                case 'not-started':
-                    updates.quiz = { status: 'incomplete', label: 'Quiz Not Started' };
-                    break;
-                case 'in-progress':
-                    updates.quiz = { status: 'in-progress', label: 'Quiz In Progress' };
-                    break;
-                case 'failed':
-                    updates.quiz = { status: 'failed', label: 'Quiz Failed - Try Again' };
-                    break;
-                case 'passed':
-                    updates.quiz = { status: 'complete', label: 'Quiz Passed' };
-                    break;
-            }
+            statuses.forEach(requirement => {
+                if (!(requirement.id in current)) {
+                    this.bottomBar.addRequirement({
+                        id: requirement.id,
+                        icon: requirement.icon,
+                        label: requirement.label,
+                        status: requirement.status
+                    });
+                }
+                updates[requirement.id] = { status: requirement.status, label: requirement.label };
+            });
             
             this.bottomBar.updateRequirements(updates);
             
@@ -355,14 +286,27 @@ class LessonUI {
      */
     setupCustomEventListeners() {
         // Listen for requirement updates
-        window.addEventListener('requirementUpdated', (e) => {
+        this.listen(window, 'requirementUpdated', (e) => {
             console.log('Requirement updated:', e.detail);
         });
         
         // Listen for theme changes
-        window.addEventListener('themeChanged', (e) => {
+        this.listen(window, 'themeChanged', (e) => {
             console.log('Theme changed:', e.detail.theme);
         });
+        
+        // Show the countdown for timed quizzes
+        this.listen(window, 'quizTimerUpdated', (e) => {
+            if (this.progressBar) {
+                this.progressBar.updateTimer(e.detail.remainingSeconds);
+            }
+            this.updateFromLessonManager();
+        });
+    }
+    
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.teardown.push(() => target.removeEventListener(type, handler, options));
     }
     
     /**
@@ -457,6 +401,11 @@ class LessonUI {
             this.bottomBar.destroy();
         }
         
+        clearTimeout(this.lessonManagerPoll);
+        this.detachLessonManager();
+        this.teardown.forEach(undo => undo());
+        this.teardown = [];
+        
         // Reset body padding
         document.body.style.paddingTop = '';
         document.body.style.paddingBottom = '';
@@ -0,0 +1,234 @@
+/**
+ * Lesson Bootstrap for Thinkific Lessons
+ * Wires every lesson module from a single config
+ * Version 1.0
+ *
+ * Load after the other lesson scripts and call once the lesson markup is
+ * in the page:
+ *
+ *     <script>
+ *         const lesson = Lesson.mount({
+ *             content: lessonContent,                 // LessonBuilder JSON or a Markdown lesson, or
+ *             contentUrl: 'https://your-cdn/42.json', // fetch it (.json or .md; cached for offline use)
+ *             quiz: lessonQuiz,                       // defaults to content.quiz, then the lessonQuiz global
+ *             requirements: lessonRequirements,       // optional, see lesson-requirements.js
+ *             builder: { trustCustomHTML: false },    // LessonBuilder options
+ *             manager: { passingScore: 80, quizConfig: { maxAttempts: 3 } },
+ *             ui: { title: 'Lesson Progress' },       // LessonUI options
+ *             completion: { title: 'Lesson Complete!' },
+ *             analytics: { measurementId: 'G-XXXXXXXXXX' }
+ *         });
+ *     </script>
+ *
+ * Modules are created in dependency order: theme, UI, completion, analytics,
+ * content and quiz markup, then LessonManager (announced with
+ * lessonManagerReady so the others attach to it) and mobile enhancements.
+ * Pass false for ui, completion, analytics, mobile or themeToggle to leave
+ * a module out. Analytics, mobile enhancements and the theme toggle that
+ * already initialized themselves when their script loaded are reused;
+ * analytics and mobile enhancements are rebuilt when mount() is given
+ * options or a storage backend for them.
+ *
+ * mount() returns the Lesson, which holds the modules. With contentUrl the
+ * builder and LessonManager are only created once the lesson has loaded;
+ * lesson.ready resolves at that point. destroy() tears everything down so a
+ * single-page host can mount the next lesson.
+ */
+
+class Lesson {
+    constructor(config = {}) {
+        this.config = {
+            content: null,
+            contentUrl: null,
+            quiz: null,
+            requirements: null,
+            storage: null,
+            debug: false,
+            builder: {},
+            manager: {},
+            ui: {},
+            completion: {},
+            analytics: {},
+            mobile: {},
+            themeToggle: {},
+            ...config
+        };
+        
+        this.builder = null;
+        this.ui = null;
+        this.completion = null;
+        this.analytics = null;
+        this.manager = null;
+        this.mobile = null;
+        this.themeToggle = null;
+        this.mounted = false;
+        this.ready = null;
+    }
+    
+    /**
+     * Create and wire a lesson's modules; returns the Lesson handle
+     */
+    static mount(config = {}) {
+        return new Lesson(config).mount();
+    }
+    
+    mount() {
+        if (this.mounted) return this;
+        
+        const { config } = this;
+        
+        this.mounted = true;
+        this.themeToggle = this.createThemeToggle();
+        
+        if (config.ui !== false && window.LessonUI) {
+            this.ui = new LessonUI({ debug: config.debug, ...config.ui });
+        }
+        
+        if (config.completion !== false && window.CompletionManager) {
+            this.completion = new CompletionManager(config.completion);
+        }
+        
+        this.analytics = this.createAnalytics();
+        
+        if (config.contentUrl && !config.content) {
+            this.builder = this.createBuilder(null);
+            this.ready = this.builder.load(config.contentUrl).then(() => this.start());
+            this.ready.catch(error => {
+                // Destroyed or superseded mid-load is expected; anything else is a real failure
+                if (error.name !== 'AbortError') console.error('[Lesson] Error starting lesson:', error);
+            });
+        } else {
+            if (config.content) {
+                this.builder = this.createBuilder(config.content);
+                this.builder.build();
+            }
+            this.ready = Promise.resolve(this.start());
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Create LessonManager once the lesson markup is in place
+     */
+    start() {
+        const { config } = this;
+        
+        this.manager = new LessonManager({
+            debug: config.debug,
+            ...this.withStorage(config.manager),
+            quiz: config.quiz, // else the builder's lesson document
+            builder: this.builder,
+            requirements: config.requirements || config.manager.requirements
+        });
+        window.lessonManager = this.manager;
+        
+        window.dispatchEvent(new CustomEvent('lessonManagerReady', {
+            detail: { lessonManager: this.manager, lesson: this }
+        }));
+        
+        this.mobile = this.createMobileEnhancements();
+        
+        return this;
+    }
+    
+    createBuilder(content) {
+        const { config } = this;
+        return new LessonBuilder(content, this.withStorage({ debug: config.debug, ...config.builder, quiz: config.quiz }));
+    }
+    
+    createThemeToggle() {
+        if (this.config.themeToggle === false || typeof ThemeToggle === 'undefined') return null;
+        
+        // theme-toggle.js keeps its instance in a script-level themeToggle for toggleTheme()
+        if (typeof themeToggle !== 'undefined') {
+            themeToggle = themeToggle || new ThemeToggle(this.withStorage(this.config.themeToggle));
+            return themeToggle;
+        }
+        
+        return new ThemeToggle(this.withStorage(this.config.themeToggle));
+    }
+    
+    createAnalytics() {
+        if (this.config.analytics === false || typeof LessonAnalytics === 'undefined') return null;
+        
+        window.lessonAnalytics = this.reuseOrReplace(window.lessonAnalytics, this.config.analytics,
+            () => new LessonAnalytics({ debug: this.config.debug, ...this.withStorage(this.config.analytics) }));
+        return window.lessonAnalytics;
+    }
+    
+    createMobileEnhancements() {
+        if (this.config.mobile === false || typeof MobileEnhancements === 'undefined') return null;
+        
+        window.mobileEnhancements = this.reuseOrReplace(window.mobileEnhancements, this.config.mobile,
+            () => new MobileEnhancements({ debug: this.config.debug, ...this.withStorage(this.config.mobile) }));
+        return window.mobileEnhancements;
+    }
+    
+    /**
+     * The instance a script created for itself on load, unless mount() was
+     * given options (or a storage backend) for it; that instance is then
+     * destroyed and rebuilt so the options are not silently dropped
+     */
+    reuseOrReplace(existing, options, create) {
+        if (!existing) return create();
+        if (Object.keys(options || {}).length === 0 && !this.config.storage) return existing;
+        
+        if (typeof existing.destroy === 'function') existing.destroy();
+        return create();
+    }
+    
+    /**
+     * Module options with the lesson's storage backend, when one was given
+     */
+    withStorage(options = {}) {
+        return this.config.storage ? { storage: this.config.storage, ...options } : { ...options };
+    }
+    
+    /**
+     * Modules in the order they were created
+     */
+    getModules() {
+        return {
+            themeToggle: this.themeToggle,
+            ui: this.ui,
+            completion: this.completion,
+            analytics: this.analytics,
+            builder: this.builder,
+            manager: this.manager,
+            mobile: this.mobile
+        };
+    }
+    
+    /**
+     * Tear the lesson down, newest module first
+     */
+    destroy() {
+        if (!this.mounted) return;
+        
+        Object.values(this.getModules()).reverse().forEach(module => {
+            if (module && typeof module.destroy === 'function') {
+                try {
+                    module.destroy();
+                } catch (error) {
+                    console.error('[Lesson] Error during teardown:', error);
+                }
+            }
+        });
+        
+        // Let the next mount create fresh instances instead of reusing destroyed ones
+        ['lessonManager', 'lessonAnalytics', 'mobileEnhancements'].forEach(name => {
+            if (window[name] && Object.values(this.getModules()).includes(window[name])) {
+                window[name] = null;
+            }
+        });
+        if (typeof themeToggle !== 'undefined' && themeToggle === this.themeToggle) {
+            themeToggle = null;
+        }
+        
+        this.mounted = false;
+    }
+}
+
+// Export for use in other modules
+window.Lesson = Lesson;
\ No newline at end of file
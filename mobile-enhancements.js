@@ -8,9 +8,12 @@ class MobileEnhancements {
       ...config
     };
     
+    this.storage = this.config.storage || (window.LessonStorage ? LessonStorage.shared() : window.localStorage);
     this.isMobile = this.detectMobile();
     this.isTouch = 'ontouchstart' in window;
     this.isStandalone = window.matchMedia('(display-mode: standalone)').matches;
+    this.teardown = []; // removes listeners on destroy()
+    this.swipe = { startX: 0, startY: 0, endX: 0, endY: 0 };
     
     if (this.isMobile || this.isTouch) {
       this.init();
@@ -68,37 +71,35 @@ class MobileEnhancements {
       }
       
       // Save and restore playback position
-      const savedPosition = localStorage.getItem(`video_${video.id}_position`);
-      if (savedPosition) {
-        video.currentTime = parseFloat(savedPosition);
-        
-        // Show notification
-        this.showToast(`Resuming from ${this.formatTime(savedPosition)}`);
+      if (this.storage.isReady === false) {
+        this.storage.ready().then(() => this.restoreVideoPosition(video));
+      } else {
+        this.restoreVideoPosition(video);
       }
       
-      video.addEventListener('timeupdate', () => {
+      this.listen(video, 'timeupdate', () => {
         // Save every 5 seconds
         if (Math.floor(video.currentTime) % 5 === 0) {
-          localStorage.setItem(`video_${video.id}_position`, video.currentTime);
+          this.storage.setItem(`video_${video.id}_position`, video.currentTime);
         }
       });
       
       // Track when video is completed
-      video.addEventListener('ended', () => {
-        localStorage.removeItem(`video_${video.id}_position`);
+      this.listen(video, 'ended', () => {
+        this.storage.removeItem(`video_${video.id}_position`);
         if (window.lessonAnalytics) {
           window.lessonAnalytics.trackVideoEvent('ended', video.currentTime, video.duration);
         }
       });
       
       // Add play/pause tracking
-      video.addEventListener('play', () => {
+      this.listen(video, 'play', () => {
         if (window.lessonAnalytics) {
           window.lessonAnalytics.trackVideoEvent('play', video.currentTime, video.duration);
         }
       });
       
-      video.addEventListener('pause', () => {
+      this.listen(video, 'pause', () => {
         if (window.lessonAnalytics) {
           window.lessonAnalytics.trackVideoEvent('pause', video.currentTime, video.duration);
         }
@@ -120,6 +121,16 @@ class MobileEnhancements {
     });
   }
   
+  restoreVideoPosition(video) {
+    const savedPosition = this.storage.getItem(`video_${video.id}_position`);
+    if (savedPosition) {
+      video.currentTime = parseFloat(savedPosition);
+      
+      // Show notification
+      this.showToast(`Resuming from ${this.formatTime(savedPosition)}`);
+    }
+  }
+  
   addPiPButton(video) {
     // Check if button already exists
     if (video.parentElement.querySelector('.pip-button')) return;
@@ -185,7 +196,7 @@ class MobileEnhancements {
     });
     
     // Add visual feedback for taps
-    document.addEventListener('touchstart', (e) => {
+    this.listen(document, 'touchstart', (e) => {
       const target = e.target.closest('button, .answer-option, a');
       if (target) {
         target.classList.add('touch-active');
@@ -223,19 +234,14 @@ class MobileEnhancements {
   }
   
   enableSwipeNavigation() {
-    let touchStartX = 0;
-    let touchStartY = 0;
-    let touchEndX = 0;
-    let touchEndY = 0;
-    
-    document.addEventListener('touchstart', (e) => {
-      touchStartX = e.changedTouches[0].screenX;
-      touchStartY = e.changedTouches[0].screenY;
+    this.listen(document, 'touchstart', (e) => {
+      this.swipe.startX = e.changedTouches[0].screenX;
+      this.swipe.startY = e.changedTouches[0].screenY;
     }, { passive: true });
     
-    document.addEventListener('touchend', (e) => {
-      touchEndX = e.changedTouches[0].screenX;
-      touchEndY = e.changedTouches[0].screenY;
+    this.listen(document, 'touchend', (e) => {
+      this.swipe.endX = e.changedTouches[0].screenX;
+      this.swipe.endY = e.changedTouches[0].screenY;
       this.handleSwipe();
     }, { passive: true });
     
@@ -246,8 +252,8 @@ class MobileEnhancements {
   
   handleSwipe() {
     const threshold = 100;
-    const xDiff = touchEndX - touchStartX;
-    const yDiff = Math.abs(touchEndY - touchStartY);
+    const xDiff = this.swipe.endX - this.swipe.startX;
+    const yDiff = Math.abs(this.swipe.endY - this.swipe.startY);
     
     // Only trigger if horizontal swipe is dominant
     if (Math.abs(xDiff) > threshold && yDiff < 100) {
@@ -262,7 +268,7 @@ class MobileEnhancements {
   }
   
   handleOrientationChanges() {
-    window.addEventListener('orientationchange', () => {
+    this.listen(window, 'orientationchange', () => {
       // Recalculate layouts after orientation change
       setTimeout(() => {
         window.dispatchEvent(new Event('resize'));
@@ -303,7 +309,7 @@ class MobileEnhancements {
     }
     
     // Monitor for connection changes
-    connection.addEventListener('change', () => {
+    this.listen(connection, 'change', () => {
       const newType = connection.effectiveType;
       if (this.config.debug) {
         console.log('[Mobile] Connection changed to:', newType);
@@ -323,7 +329,7 @@ class MobileEnhancements {
     
     // Prevent double-tap zoom on buttons
     let lastTap = 0;
-    document.addEventListener('touchend', (e) => {
+    this.listen(document, 'touchend', (e) => {
       const currentTime = new Date().getTime();
       const tapLength = currentTime - lastTap;
       
@@ -438,6 +444,20 @@ class MobileEnhancements {
     }, duration);
   }
   
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.teardown.push(() => target.removeEventListener(type, handler, options));
+  }
+  
+  // Remove listeners and the controls added to the page
+  destroy() {
+    this.teardown.forEach(undo => undo());
+    this.teardown = [];
+    
+    document.querySelectorAll('.pip-button, .mobile-toast').forEach(element => element.remove());
+    document.body.classList.remove('mobile-device', 'standalone-mode', 'slow-connection');
+  }
+  
   formatTime(seconds) {
     const mins = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
@@ -449,6 +469,7 @@ class MobileEnhancements {
 if (typeof window !== 'undefined') {
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
+      if (window.mobileEnhancements) return; // created by Lesson.mount
       window.mobileEnhancements = new MobileEnhancements({
         debug: window.location.hostname === 'localhost'
       });
@@ -0,0 +1,72 @@
+/**
+ * Mock Storage Server for local development
+ * Stands in for the endpoint used by LessonStorage's 'remote' backend
+ * Version 1.0
+ *
+ * Usage: node mock-storage-server.js [port]
+ * Then: LessonStorage.configure({ backend: 'remote', url: 'http://localhost:8787/storage' })
+ *
+ * Entries live in memory and are lost when the server stops.
+ */
+
+const http = require('http');
+
+const port = parseInt(process.argv[2], 10) || 8787;
+const prefix = '/storage';
+const entries = {};
+
+function send(res, status, body = '', contentType = 'text/plain') {
+    res.writeHead(status, {
+        'Content-Type': contentType,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+    let path;
+    try {
+        path = decodeURIComponent(req.url.split('?')[0]);
+    } catch (error) {
+        return send(res, 400, 'Malformed URL');
+    }
+    
+    if (req.method === 'OPTIONS') {
+        return send(res, 204);
+    }
+    
+    if (path !== prefix && !path.startsWith(`${prefix}/`)) {
+        return send(res, 404, 'Not found');
+    }
+    
+    const key = path.slice(prefix.length + 1);
+    
+    if (req.method === 'GET' && !key) {
+        return send(res, 200, JSON.stringify(entries), 'application/json');
+    }
+    
+    if (req.method === 'PUT' && key) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            entries[key] = body;
+            console.log('[MockStorage] PUT', key);
+            send(res, 204);
+        });
+        return;
+    }
+    
+    if (req.method === 'DELETE' && key) {
+        delete entries[key];
+        console.log('[MockStorage] DELETE', key);
+        return send(res, 204);
+    }
+    
+    send(res, 405, 'Method not allowed');
+});
+
+server.listen(port, () => {
+    console.log(`[MockStorage] Listening on http://localhost:${port}${prefix}`);
+});
\ No newline at end of file
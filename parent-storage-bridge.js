@@ -0,0 +1,157 @@
+/**
+ * Parent Storage Bridge for Thinkific Lessons
+ * Runs on the Thinkific course page and stores lesson progress for
+ * lesson iframes using LessonStorage's 'parent' backend
+ * Version 1.0
+ *
+ * Add to the Thinkific page (Settings > Code & analytics) with:
+ *
+ *     <script src="https://your-cdn/parent-storage-bridge.js"></script>
+ *     <script>
+ *         new ParentStorageBridge({ allowedOrigins: ['https://your-cdn'] });
+ *     </script>
+ *
+ * allowedOrigins is required: the learner's progress is only sent to and
+ * written by lessons served from those origins.
+ *
+ * Entries are kept in the parent page's localStorage by default. Pass
+ * load/save/remove (each returning a Promise) to persist them elsewhere,
+ * e.g. a course server keyed by userId, for cross-device sync.
+ */
+
+class ParentStorageBridge {
+    constructor(options = {}) {
+        this.options = {
+            allowedOrigins: [], // lesson origins to serve; required
+            namespace: 'lesson_bridge',
+            userId: null,
+            load: null,
+            save: null,
+            remove: null,
+            debug: false,
+            ...options
+        };
+        
+        if (this.options.allowedOrigins.length === 0) {
+            console.warn('[ParentStorageBridge] No allowedOrigins set - storage requests will be ignored');
+        }
+        
+        this.handleMessage = this.handleMessage.bind(this);
+        window.addEventListener('message', this.handleMessage);
+        
+        this.log('Listening for lesson storage requests');
+    }
+    
+    /**
+     * Prefix for stored keys, scoped to the learner when userId is known
+     */
+    getPrefix() {
+        return this.options.userId
+            ? `${this.options.namespace}:${this.options.userId}:`
+            : `${this.options.namespace}:`;
+    }
+    
+    isAllowedOrigin(origin) {
+        return this.options.allowedOrigins.includes(origin);
+    }
+    
+    handleMessage(event) {
+        const data = event.data;
+        if (!data || typeof data.type !== 'string' || !data.type.startsWith('lesson_storage_')) return;
+        
+        if (!this.isAllowedOrigin(event.origin)) {
+            this.log('Ignored storage request from', event.origin);
+            return;
+        }
+        
+        switch (data.type) {
+            case 'lesson_storage_load':
+                this.loadEntries().then(entries => {
+                    event.source.postMessage({
+                        type: 'lesson_storage_data',
+                        requestId: data.requestId,
+                        entries
+                    }, event.origin);
+                    this.log('Sent entries to lesson', Object.keys(entries));
+                });
+                break;
+            case 'lesson_storage_save':
+                this.saveEntry(data.key, data.value);
+                break;
+            case 'lesson_storage_remove':
+                this.removeEntry(data.key);
+                break;
+        }
+    }
+    
+    loadEntries() {
+        if (this.options.load) {
+            return Promise.resolve(this.options.load(this.options.userId)).catch(error => {
+                console.error('[ParentStorageBridge] Error loading entries:', error);
+                return {};
+            });
+        }
+        
+        const prefix = this.getPrefix();
+        const entries = {};
+        
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key.startsWith(prefix)) {
+                    entries[key.slice(prefix.length)] = localStorage.getItem(key);
+                }
+            }
+        } catch (error) {
+            console.error('[ParentStorageBridge] Error reading localStorage:', error);
+        }
+        
+        return Promise.resolve(entries);
+    }
+    
+    saveEntry(key, value) {
+        if (this.options.save) {
+            return Promise.resolve(this.options.save(key, value, this.options.userId)).catch(error => {
+                console.error('[ParentStorageBridge] Error saving entry:', error);
+            });
+        }
+        
+        try {
+            localStorage.setItem(this.getPrefix() + key, value);
+        } catch (error) {
+            console.error('[ParentStorageBridge] Error writing localStorage:', error);
+        }
+        return Promise.resolve();
+    }
+    
+    removeEntry(key) {
+        if (this.options.remove) {
+            return Promise.resolve(this.options.remove(key, this.options.userId)).catch(error => {
+                console.error('[ParentStorageBridge] Error removing entry:', error);
+            });
+        }
+        
+        try {
+            localStorage.removeItem(this.getPrefix() + key);
+        } catch (error) {
+            console.error('[ParentStorageBridge] Error writing localStorage:', error);
+        }
+        return Promise.resolve();
+    }
+    
+    /**
+     * Stop answering lesson storage requests
+     */
+    destroy() {
+        window.removeEventListener('message', this.handleMessage);
+    }
+    
+    log(...args) {
+        if (this.options.debug) {
+            console.log('[ParentStorageBridge]', ...args);
+        }
+    }
+}
+
+// Export for use in other modules
+window.ParentStorageBridge = ParentStorageBridge;
\ No newline at end of file
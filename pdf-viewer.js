@@ -2,6 +2,9 @@
  * PDF Viewer Component for Thinkific Lessons
  * Displays PDF preview images with expandable view and download capability
  * Version 2.0
+ *
+ * Requires lesson-sanitizer.js, loaded first: option values are escaped
+ * and URLs checked with LessonSanitizer.
  */
 
 class PDFViewer {
@@ -18,26 +21,31 @@ class PDFViewer {
         this.element = null;
         this.overlay = null;
         this.isExpanded = false;
+        
+        this.handleKeydown = this.handleKeydown.bind(this);
     }
     
     /**
      * Generate the PDF viewer HTML
      */
     generateHTML() {
+        const escape = LessonSanitizer.escape;
+        const title = escape(this.options.title);
+        
         return `
             <div class="pdf-viewer-container">
                 <div class="iconify" data-icon="feather-file-text" data-inline="false" style="font-size: 2rem; color: var(--primary-color); margin-bottom: 1rem;"></div>
-                <h3>${this.options.title}</h3>
+                <h3>${title}</h3>
                 <p>Click the document preview below to expand and view full size, or download the PDF for reference.</p>
                 
                 <div class="pdf-preview-image" id="pdfPreview">
                     <div class="pdf-click-hint">Click to expand</div>
-                    <img src="${this.options.previewImage}" alt="${this.options.title} Preview" />
+                    <img src="${escape(LessonSanitizer.safeUrl(this.options.previewImage))}" alt="${title} Preview" />
                 </div>
                 
                 <button class="pdf-download-button" id="pdfDownloadBtn">
                     <div class="iconify" data-icon="feather-download" data-inline="false"></div>
-                    Download ${this.options.filename}
+                    Download ${escape(this.options.filename)}
                 </button>
             </div>
         `;
@@ -47,11 +55,14 @@ class PDFViewer {
      * Generate overlay HTML for expanded view
      */
     generateOverlayHTML() {
+        const escape = LessonSanitizer.escape;
+        const title = escape(this.options.title);
+        
         return `
             <div class="pdf-overlay" id="pdfOverlay">
                 <div class="pdf-overlay-content">
                     <div class="pdf-overlay-header">
-                        <div class="pdf-overlay-title">${this.options.title}</div>
+                        <div class="pdf-overlay-title">${title}</div>
                         <div class="pdf-overlay-actions">
                             <button class="pdf-download-button" id="pdfOverlayDownloadBtn">
                                 <div class="iconify" data-icon="feather-download" data-inline="false"></div>
@@ -64,7 +75,7 @@ class PDFViewer {
                         </div>
                     </div>
                     <div class="pdf-overlay-image">
-                        <img src="${this.options.previewImage}" alt="${this.options.title} Full Size" />
+                        <img src="${escape(LessonSanitizer.safeUrl(this.options.previewImage))}" alt="${title} Full Size" />
                     </div>
                 </div>
             </div>
@@ -171,11 +182,13 @@ class PDFViewer {
         }
         
         // ESC key to close overlay
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isExpanded) {
-                this.closeOverlay();
-            }
-        });
+        document.addEventListener('keydown', this.handleKeydown);
+    }
+    
+    handleKeydown(e) {
+        if (e.key === 'Escape' && this.isExpanded) {
+            this.closeOverlay();
+        }
     }
     
     /**
@@ -186,6 +199,7 @@ class PDFViewer {
             this.overlay.classList.add('show');
             this.isExpanded = true;
             document.body.style.overflow = 'hidden';
+            this.dispatchPdfEvent('pdfOpened');
         }
     }
     
@@ -204,10 +218,12 @@ class PDFViewer {
      * Download PDF file
      */
     downloadPDF() {
-        if (this.options.pdfUrl) {
+        const pdfUrl = LessonSanitizer.safeUrl(this.options.pdfUrl);
+        
+        if (pdfUrl) {
             // Create a temporary link element and trigger download
             const link = document.createElement('a');
-            link.href = this.options.pdfUrl;
+            link.href = pdfUrl;
             link.download = this.options.filename;
             link.target = '_blank'; // Fallback for browsers that don't support download attribute
             document.body.appendChild(link);
@@ -220,6 +236,16 @@ class PDFViewer {
         
         // Track download
         console.log('PDF download initiated:', this.options.filename);
+        this.dispatchPdfEvent('pdfDownloaded');
+    }
+    
+    /**
+     * Let lesson requirements know the document was opened or downloaded
+     */
+    dispatchPdfEvent(type) {
+        window.dispatchEvent(new CustomEvent(type, {
+            detail: { filename: this.options.filename, pdfUrl: this.options.pdfUrl }
+        }));
     }
     
     /**
@@ -233,14 +259,14 @@ class PDFViewer {
         // Update main preview image
         const previewImg = this.element.querySelector('.pdf-preview-image img');
         if (previewImg) {
-            previewImg.src = this.options.previewImage;
+            previewImg.src = LessonSanitizer.safeUrl(this.options.previewImage);
             previewImg.alt = this.options.title + ' Preview';
         }
         
         // Update overlay image
         const overlayImg = this.overlay.querySelector('.pdf-overlay-image img');
         if (overlayImg) {
-            overlayImg.src = this.options.previewImage;
+            overlayImg.src = LessonSanitizer.safeUrl(this.options.previewImage);
             overlayImg.alt = this.options.title + ' Full Size';
         }
         
@@ -258,6 +284,8 @@ class PDFViewer {
      * Remove the PDF viewer from DOM
      */
     destroy() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        
         if (this.element && this.element.parentNode) {
             this.element.parentNode.removeChild(this.element);
         }
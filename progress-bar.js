@@ -15,12 +15,16 @@ class ProgressBar {
             ...options
         };
         
+        this.storage = this.options.storage || (window.LessonStorage ? LessonStorage.shared() : window.localStorage);
         this.element = null;
         this.progressBarFill = null;
+        this.timerSeconds = null;
         this.currentZoom = 100;
         this.minZoom = 75;
         this.maxZoom = 150;
         this.zoomStep = 10;
+        
+        this.handleZoomShortcut = this.handleZoomShortcut.bind(this);
     }
     
     /**
@@ -33,6 +37,8 @@ class ProgressBar {
                     <div class="progress-label">
                         <span>${this.options.title}</span>
                         <div style="display: flex; align-items: center; gap: 1rem;">
+                            <span class="progress-timer" id="progressTimer" role="timer"></span>
+                            <span class="sr-only progress-timer-status" role="status"></span>
                             ${this.options.showZoomControls ? this.generateZoomControls() : ''}
                             ${this.options.showThemeToggle ? this.generateThemeToggle() : ''}
                         </div>
@@ -120,7 +126,7 @@ class ProgressBar {
         
         // Load saved zoom level
         if (this.options.showZoomControls) {
-            setTimeout(() => this.loadSavedZoom(), 100);
+            this.zoomTimer = setTimeout(() => this.loadSavedZoom(), 100);
         }
         
         return this;
@@ -175,26 +181,31 @@ class ProgressBar {
             zoomOutBtn.addEventListener('click', () => this.zoomOut());
             
             // Keyboard shortcuts
-            document.addEventListener('keydown', (e) => {
-                if (e.ctrlKey || e.metaKey) {
-                    if (e.key === '=' || e.key === '+') {
-                        e.preventDefault();
-                        this.zoomIn();
-                    } else if (e.key === '-') {
-                        e.preventDefault();
-                        this.zoomOut();
-                    } else if (e.key === '0') {
-                        e.preventDefault();
-                        this.resetZoom();
-                    }
-                }
-            });
+            document.addEventListener('keydown', this.handleZoomShortcut);
             
             // Initialize zoom level
             this.updateZoomDisplay();
         }
     }
     
+    /**
+     * Ctrl/Cmd + plus, minus and 0 zoom the page
+     */
+    handleZoomShortcut(e) {
+        if (e.ctrlKey || e.metaKey) {
+            if (e.key === '=' || e.key === '+') {
+                e.preventDefault();
+                this.zoomIn();
+            } else if (e.key === '-') {
+                e.preventDefault();
+                this.zoomOut();
+            } else if (e.key === '0') {
+                e.preventDefault();
+                this.resetZoom();
+            }
+        }
+    }
+    
     /**
      * Zoom in
      */
@@ -238,7 +249,7 @@ class ProgressBar {
         this.updateZoomDisplay();
         
         // Save zoom preference
-        localStorage.setItem('lessonZoomLevel', this.currentZoom);
+        this.storage.setItem('lessonZoomLevel', this.currentZoom);
         
         // Dispatch zoom change event
         window.dispatchEvent(new CustomEvent('zoomChanged', {
@@ -271,7 +282,12 @@ class ProgressBar {
      * Load saved zoom level
      */
     loadSavedZoom() {
-        const savedZoom = localStorage.getItem('lessonZoomLevel');
+        if (this.storage.isReady === false) {
+            this.storage.ready().then(() => this.loadSavedZoom());
+            return;
+        }
+        
+        const savedZoom = this.storage.getItem('lessonZoomLevel');
         if (savedZoom) {
             this.currentZoom = Math.min(this.maxZoom, Math.max(this.minZoom, parseInt(savedZoom)));
             this.applyZoom();
@@ -287,6 +303,48 @@ class ProgressBar {
         }
     }
     
+    /**
+     * Show remaining quiz time, or hide the timer when seconds is null
+     */
+    updateTimer(seconds) {
+        const timer = this.element && this.element.querySelector('.progress-timer');
+        if (!timer) return;
+        
+        if (seconds === null || seconds === undefined) {
+            timer.classList.remove('show', 'warning');
+            timer.textContent = '';
+            this.timerSeconds = null;
+            return;
+        }
+        
+        const mins = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+        timer.textContent = `⏱ ${mins}:${secs.toString().padStart(2, '0')}`;
+        timer.classList.add('show');
+        timer.classList.toggle('warning', seconds <= 60);
+        
+        this.announceTimer(seconds);
+        this.timerSeconds = seconds;
+    }
+    
+    /**
+     * The timer ticks every second, so screen readers only hear it when the
+     * last minute starts and when time runs out
+     */
+    announceTimer(seconds) {
+        const status = this.element.querySelector('.progress-timer-status');
+        if (!status) return;
+        
+        const previous = this.timerSeconds;
+        if (previous === null) status.textContent = ''; // new countdown
+        
+        if (seconds <= 0 && (previous === null || previous > 0)) {
+            status.textContent = "Time's up";
+        } else if (seconds > 0 && seconds <= 60 && (previous === null || previous > 60)) {
+            status.textContent = seconds > 50 ? '1 minute left' : `${seconds} seconds left`;
+        }
+    }
+    
     /**
      * Update the title
      */
@@ -316,9 +374,12 @@ class ProgressBar {
     }
     
     /**
-     * Remove the progress bar from DOM
+     * Remove the progress bar from DOM and stop listening for zoom shortcuts
      */
     destroy() {
+        clearTimeout(this.zoomTimer);
+        document.removeEventListener('keydown', this.handleZoomShortcut);
+        
         if (this.element && this.element.parentNode) {
             this.element.parentNode.removeChild(this.element);
         }
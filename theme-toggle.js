@@ -5,7 +5,10 @@
  */
 
 class ThemeToggle {
-    constructor() {
+    constructor(options = {}) {
+        this.storage = options.storage || (window.LessonStorage ? LessonStorage.shared() : window.localStorage);
+        this.teardown = []; // removes listeners on destroy()
+        this.timers = {};
         this.init();
     }
     
@@ -13,6 +16,11 @@ class ThemeToggle {
         // Initialize theme on page load
         this.initTheme();
         
+        // Re-apply once an asynchronous storage backend has loaded the saved theme
+        if (this.storage.isReady === false) {
+            this.storage.ready().then(() => this.initTheme());
+        }
+        
         // Set up event listeners
         this.setupEventListeners();
     }
@@ -20,8 +28,8 @@ class ThemeToggle {
     setupEventListeners() {
         // Handle system theme changes
         if (window.matchMedia) {
-            window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-                if (!localStorage.getItem('theme')) {
+            this.listen(window.matchMedia('(prefers-color-scheme: dark)'), 'change', (e) => {
+                if (!this.storage.getItem('theme')) {
                     this.applyTheme(e.matches ? 'dark' : 'light');
                 }
             });
@@ -36,32 +44,32 @@ class ThemeToggle {
         const toggleSlot = document.querySelector('.toggle-slot');
         
         if (checkbox) {
-            checkbox.addEventListener('change', (e) => {
+            this.listen(checkbox, 'change', (e) => {
                 const newTheme = e.target.checked ? 'dark' : 'light';
                 this.applyTheme(newTheme);
-                localStorage.setItem('theme', newTheme);
+                this.storage.setItem('theme', newTheme);
             });
             
             // Also add click listener to the toggle slot as backup
             if (toggleSlot) {
-                toggleSlot.addEventListener('click', (e) => {
+                this.listen(toggleSlot, 'click', (e) => {
                     // Prevent double triggering if checkbox was clicked directly
                     if (e.target === checkbox) return;
                     
                     checkbox.checked = !checkbox.checked;
                     const newTheme = checkbox.checked ? 'dark' : 'light';
                     this.applyTheme(newTheme);
-                    localStorage.setItem('theme', newTheme);
+                    this.storage.setItem('theme', newTheme);
                 });
             }
         } else {
             // If checkbox not found, try again after a short delay
-            setTimeout(() => this.setupCheckboxListener(), 100);
+            this.timers.checkbox = setTimeout(() => this.setupCheckboxListener(), 100);
         }
     }
     
     initTheme() {
-        const savedTheme = localStorage.getItem('theme');
+        const savedTheme = this.storage.getItem('theme');
         const systemPrefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
         
         // Use saved theme, or fall back to system preference, or default to dark (to prevent flash)
@@ -71,7 +79,7 @@ class ThemeToggle {
         this.applyTheme(theme);
         
         // Wait a bit for DOM to be ready, then update toggle state
-        setTimeout(() => {
+        this.timers.toggleState = setTimeout(() => {
             this.updateToggleState(theme);
         }, 50);
     }
@@ -84,7 +92,7 @@ class ThemeToggle {
         this.updateToggleState(newTheme);
         
         // Save preference
-        localStorage.setItem('theme', newTheme);
+        this.storage.setItem('theme', newTheme);
     }
     
     applyTheme(theme) {
@@ -101,7 +109,7 @@ class ThemeToggle {
         
         if (!checkbox) {
             // If checkbox not found, try again after a short delay
-            setTimeout(() => this.updateToggleState(theme), 100);
+            this.timers.toggleState = setTimeout(() => this.updateToggleState(theme), 100);
             return;
         }
         
@@ -115,6 +123,21 @@ class ThemeToggle {
     getCurrentTheme() {
         return document.documentElement.getAttribute('data-theme') || 'light';
     }
+    
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.teardown.push(() => target.removeEventListener(type, handler));
+    }
+    
+    /**
+     * Stop following the toggle and the system theme; the applied theme stays
+     */
+    destroy() {
+        Object.values(this.timers).forEach(timer => clearTimeout(timer));
+        this.timers = {};
+        this.teardown.forEach(undo => undo());
+        this.teardown = [];
+    }
 }
 
 // Global instance
@@ -123,6 +146,7 @@ let themeToggle;
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
+        if (themeToggle) return; // created by Lesson.mount
         themeToggle = new ThemeToggle();
     });
 } else {
@@ -0,0 +1,130 @@
+/**
+ * Lesson Validator for Thinkific Lessons
+ * Checks a folder of lesson and quiz JSON files before they are published
+ * Version 1.0
+ *
+ * Usage: node validate-lessons.js <folder or file>... [--strict] [--quiet]
+ *
+ * Every .json and .md file under the given folders is checked with
+ * LessonBuilder.validate(), the same rules the lesson page applies: a file
+ * holding an array is a quiz, an object is a lesson (with an optional
+ * quiz), and a .md file other than a README is a Markdown lesson (see
+ * lesson-markdown.js). On top of the schema this catches pdf-viewer blocks without
+ * pdfUrl or previewImage and answer letters beyond a question's options.
+ *
+ * Exits with 1 when any file has errors (or warnings, with --strict) and
+ * 2 on bad usage, so it can gate a commit hook or CI job. --quiet prints
+ * errors only.
+ *
+ * From Node: require('./validate-lessons').findLessonFiles(target) lists
+ * the lesson files under a folder, as export-lessons.js does.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Load the browser scripts that define the content model into a sandbox
+ */
+function loadLessonBuilder() {
+    const sandbox = { console };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    
+    ['lesson-schema.js', 'lesson-markdown.js', 'lesson-builder.js'].forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+        vm.runInContext(source, sandbox, { filename: file });
+    });
+    
+    return sandbox;
+}
+
+/**
+ * The .json and .md lesson files at a path, walking folders in name order
+ */
+function findLessonFiles(target) {
+    const stat = fs.statSync(target);
+    if (stat.isFile()) return [target];
+    
+    return fs.readdirSync(target, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const full = path.join(target, entry.name);
+            if (entry.isDirectory()) return findLessonFiles(full);
+            return /\.(json|md)$/.test(entry.name) && !/^readme\.md$/i.test(entry.name) ? [full] : [];
+        });
+}
+
+function validateFile({ LessonBuilder, LessonMarkdown }, file) {
+    const markdown = file.endsWith('.md');
+    let data;
+    
+    try {
+        const source = fs.readFileSync(file, 'utf8');
+        data = markdown ? LessonMarkdown.parseLesson(source) : JSON.parse(source);
+    } catch (error) {
+        const message = markdown ? error.message : `is not valid JSON: ${error.message}`;
+        return { errors: [{ path: '', message }], warnings: [] };
+    }
+    
+    // Quiz files only hold the question list
+    if (Array.isArray(data)) {
+        return LessonBuilder.validate({ title: path.basename(file), content: [] }, { quiz: data });
+    }
+    
+    return LessonBuilder.validate(data);
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const strict = args.includes('--strict');
+    const quiet = args.includes('--quiet');
+    const targets = args.filter(arg => !arg.startsWith('--'));
+    
+    if (targets.length === 0) {
+        console.error('Usage: node validate-lessons.js <folder or file>... [--strict] [--quiet]');
+        return 2;
+    }
+    
+    const missing = targets.filter(target => !fs.existsSync(target));
+    if (missing.length) {
+        console.error(`Not found: ${missing.join(', ')}`);
+        return 2;
+    }
+    
+    const lessonScripts = loadLessonBuilder();
+    const files = targets.flatMap(findLessonFiles);
+    const totals = { errors: 0, warnings: 0, failed: 0 };
+    
+    files.forEach(file => {
+        const report = validateFile(lessonScripts, file);
+        const issues = [
+            ...report.errors.map(issue => ({ ...issue, level: 'error' })),
+            ...(quiet ? [] : report.warnings.map(issue => ({ ...issue, level: 'warning' })))
+        ];
+        
+        totals.errors += report.errors.length;
+        totals.warnings += report.warnings.length;
+        if (report.errors.length || (strict && report.warnings.length)) totals.failed++;
+        
+        if (issues.length === 0) return;
+        
+        console.log(file);
+        issues.forEach(issue => {
+            console.log(`  ${issue.level.padEnd(7)} ${issue.path || '(file)'} ${issue.message}`);
+        });
+        console.log('');
+    });
+    
+    console.log(`${files.length} file(s) checked: ${totals.errors} error(s), ${totals.warnings} warning(s)`);
+    
+    return totals.failed > 0 ? 1 : 0;
+}
+
+module.exports = { findLessonFiles };
+
+if (require.main === module) {
+    process.exitCode = main();
+}
\ No newline at end of file